@@ -0,0 +1,185 @@
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+puppeteer.use(StealthPlugin());
+
+// ── Browser manager ───────────────────────────────────────────────────────────
+// One headless Chromium shared by everything that needs a real browser
+// (Cloudflare blocks plain HTTP for logged-in actions). It:
+//   - hands out pages from a bounded pool (BROWSER_MAX_PAGES, default 2)
+//   - blocks images/styles/fonts/media on every page
+//   - keeps one isolated context per account, so cookies never leak
+//   - closes Chromium after BROWSER_IDLE_MINUTES (default 5) without pages,
+//     to give memory back on Railway's 512MB container
+//   - restarts a hung or dead browser the same way for every caller
+
+const MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 2;
+const IDLE_MS = (parseFloat(process.env.BROWSER_IDLE_MINUTES) || 5) * 60 * 1000;
+const BLOCKED_RESOURCES = ['image', 'stylesheet', 'font', 'media'];
+
+let browser = null;
+let launching = null;  // in-flight launch, shared by concurrent callers
+let idleTimer = null;
+let activePages = 0;
+const waiting = [];    // resolvers for callers waiting on a page slot
+// Account key → { context, ...state }. Callers keep their own login state on
+// the entry; it's dropped with the browser.
+const contexts = new Map();
+const stats = { launchedAt: null, lastUsedAt: null, launches: 0, restarts: 0 };
+
+async function getBrowser() {
+    if (browser && browser.connected) return browser;
+    if (!launching) launching = launch().finally(() => { launching = null; });
+    return launching;
+}
+
+async function launch() {
+    console.log('[puppeteer] Launching browser...');
+    const b = await puppeteer.launch({
+        headless: true,
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-gpu',
+            '--disable-extensions',
+            '--disable-background-networking',
+            '--disable-background-timer-throttling',
+            '--disable-backgrounding-occluded-windows',
+            '--disable-breakpad',
+            '--disable-component-extensions-with-background-pages',
+            '--disable-features=TranslateUI,BlinkGenPropertyTrees',
+            '--disable-ipc-flooding-protection',
+            '--disable-renderer-backgrounding',
+            '--disable-sync',
+            '--metrics-recording-only',
+            '--mute-audio',
+            '--no-first-run',
+            '--safebrowsing-disable-auto-update',
+            '--js-flags=--max-old-space-size=128',
+        ],
+    });
+    b.on('disconnected', () => {
+        if (browser !== b) return;
+        console.log('[puppeteer] Browser disconnected');
+        browser = null;
+        contexts.clear();
+    });
+    browser = b;
+    contexts.clear();
+    stats.launchedAt = Date.now();
+    stats.launches++;
+    console.log('[puppeteer] Browser ready');
+    return b;
+}
+
+async function closeBrowser() {
+    const b = browser;
+    browser = null;
+    contexts.clear();
+    clearTimeout(idleTimer);
+    if (b) await b.close().catch(() => {});
+}
+
+// Errors that mean the browser process is hung or dead
+function isBrowserDead(err) {
+    const msg = err?.message || '';
+    return msg.includes('DOM.describeNode') || msg.includes('Protocol error') ||
+        msg.includes('Target closed') || msg.includes('Session closed');
+}
+
+// Isolated context for an account, created on first use: { context, ... }
+async function getContext(key) {
+    const b = await getBrowser();
+    const id = String(key).toLowerCase();
+    if (!contexts.has(id)) contexts.set(id, { context: await b.createBrowserContext() });
+    return contexts.get(id);
+}
+
+// The context entry if the running browser has one, without launching
+function peekContext(key) {
+    return contexts.get(String(key).toLowerCase()) || null;
+}
+
+// Every context entry whose key starts with `prefix`, without launching
+function peekContexts(prefix) {
+    const start = String(prefix).toLowerCase();
+    return [...contexts].filter(([id]) => id.startsWith(start)).map(([, entry]) => entry);
+}
+
+// ── Page pool ─────────────────────────────────────────────────────────────────
+
+async function acquireSlot() {
+    clearTimeout(idleTimer);
+    if (activePages < MAX_PAGES) { activePages++; return; }
+    await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+    stats.lastUsedAt = Date.now();
+    const next = waiting.shift();
+    if (next) return next(); // slot passes straight to the next caller
+    activePages--;
+    if (activePages === 0) {
+        idleTimer = setTimeout(() => {
+            if (activePages === 0 && browser) {
+                console.log('[puppeteer] Idle, closing browser');
+                closeBrowser();
+            }
+        }, IDLE_MS);
+        idleTimer.unref();
+    }
+}
+
+// Runs `fn(page)` on a fresh page in the account's context (or the default
+// context when `key` is null) and always closes it afterwards. A dead
+// browser is closed so the next caller gets a new one; the error is rethrown.
+async function withPage(key, fn, { blockResources = true } = {}) {
+    await acquireSlot();
+    let page;
+    try {
+        const context = key ? (await getContext(key)).context : (await getBrowser()).defaultBrowserContext();
+        page = await context.newPage();
+
+        if (blockResources) {
+            await page.setRequestInterception(true);
+            page.on('request', (req) => {
+                if (BLOCKED_RESOURCES.includes(req.resourceType())) {
+                    req.abort();
+                } else {
+                    req.continue();
+                }
+            });
+        }
+
+        return await fn(page);
+    } catch (err) {
+        if (isBrowserDead(err)) {
+            console.error('[puppeteer] Browser unresponsive, restarting on next request');
+            page = null;
+            stats.restarts++;
+            await closeBrowser();
+        }
+        throw err;
+    } finally {
+        if (page) await page.close().catch(() => {});
+        releaseSlot();
+    }
+}
+
+// State for health checks. Account names are left out on purpose.
+function browserStatus() {
+    return {
+        running: !!(browser && browser.connected),
+        activePages,
+        waitingForPage: waiting.length,
+        maxPages: MAX_PAGES,
+        contexts: contexts.size,
+        loggedInContexts: [...contexts.values()].filter(c => c.loggedIn).length,
+        launchedAt: stats.launchedAt,
+        lastUsedAt: stats.lastUsedAt,
+        launches: stats.launches,
+        restarts: stats.restarts,
+    };
+}
+
+module.exports = { withPage, getContext, peekContext, peekContexts, closeBrowser, browserStatus };
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./config');
+
+// ── Cache ─────────────────────────────────────────────────────────────────────
+// Keys are "namespace:rest" (meta:alien, watchlist:bob, ...). Each namespace
+// has its own TTL and an optional stale window during which getOrRefresh
+// serves the old value while fetching a new one in the background.
+//
+// Entries live in memory, least recently used first out once the memory cap
+// is reached (pinned namespaces excepted), and are persisted by a pluggable
+// store so a redeploy doesn't start from cold. CACHE_STORE=file (default) or
+// memory.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// ttl: how long a value is fresh (null = forever)
+// stale: how much longer it may be served while revalidating
+const NAMESPACES = {
+    meta:        { ttl: DAY,         stale: 30 * DAY },
+    histogram:   { ttl: 6 * HOUR,    stale: 7 * DAY },
+    reviews:     { ttl: 6 * HOUR,    stale: 7 * DAY },
+    avail:       { ttl: DAY,         stale: 7 * DAY },
+    watchlist:   { ttl: 5 * MINUTE,  stale: DAY },
+    list:        { ttl: 5 * MINUTE,  stale: DAY },
+    browse:      { ttl: 6 * HOUR,    stale: DAY },
+    watched:     { ttl: 15 * MINUTE, stale: DAY },
+    watchedgrid: { ttl: 15 * MINUTE, stale: DAY },
+    diary:       { ttl: 15 * MINUTE, stale: DAY },
+    activity:    { ttl: 15 * MINUTE, stale: DAY },
+    friends:     { ttl: 15 * MINUTE, stale: DAY },
+    following:   { ttl: DAY,         stale: 7 * DAY },
+    recs:        { ttl: 12 * HOUR,   stale: 7 * DAY },
+    userrating:  { ttl: 5 * MINUTE,  stale: 0 },
+    // IMDb ↔ slug mappings never change, and are never evicted: they are
+    // the only way the meta handler and /rate find a film
+    slug:        { ttl: null,        stale: 0, pinned: true },
+};
+const DEFAULT_NAMESPACE = { ttl: 5 * MINUTE, stale: 0 };
+
+const MAX_BYTES = (parseInt(process.env.CACHE_MAX_MB, 10) || 32) * 1024 * 1024;
+const FLUSH_INTERVAL_MS = 30 * 1000;
+
+// ── Stores ────────────────────────────────────────────────────────────────────
+// A store loads and saves the whole entry list: [[key, entry], ...].
+// loadIfChanged() resolves to the list only if another process (the CLI's
+// warm-cache, say) saved it since we last loaded or saved; otherwise null.
+// Loading at startup is synchronous; saves run in the background and
+// resolve to whether they were written.
+
+// Entries per write while saving, so a large cache doesn't hold up requests
+const SAVE_BATCH = 500;
+
+function fileStore(file) {
+    let seenMtime = null; // of the file as we last read or wrote it
+
+    const mtime = () => fs.promises.stat(file).then(stat => stat.mtimeMs, () => null);
+
+    return {
+        load() {
+            try {
+                seenMtime = fs.statSync(file).mtimeMs;
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.error('[cache] Could not read cache file:', err.message);
+                return [];
+            }
+        },
+        async loadIfChanged() {
+            const current = await mtime();
+            if (current === null || current === seenMtime) return null;
+            try {
+                const saved = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                seenMtime = current;
+                return saved;
+            } catch (err) {
+                console.error('[cache] Could not read cache file:', err.message);
+                return null;
+            }
+        },
+        async save(entries) {
+            const tmp = `${file}.tmp`;
+            let handle;
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                handle = await fs.promises.open(tmp, 'w');
+                for (let i = 0; i < entries.length; i += SAVE_BATCH) {
+                    const batch = entries.slice(i, i + SAVE_BATCH).map(entry => JSON.stringify(entry)).join(',');
+                    await handle.write(`${i ? ',' : '['}${batch}`);
+                }
+                await handle.write(entries.length ? ']' : '[]');
+                await handle.close();
+                handle = null;
+                await fs.promises.rename(tmp, file);
+                seenMtime = await mtime();
+                return true;
+            } catch (err) {
+                console.error('[cache] Could not write cache file:', err.message);
+                await handle?.close().catch(() => {});
+                return false;
+            }
+        },
+    };
+}
+
+function memoryStore() {
+    return { load: () => [], loadIfChanged: async () => null, save: async () => true };
+}
+
+function createStore() {
+    if (process.env.CACHE_STORE === 'memory') return memoryStore();
+    return fileStore(path.join(dataDir(), 'cache.json'));
+}
+
+// ── In-memory LRU ─────────────────────────────────────────────────────────────
+// Map iteration order doubles as recency order: reads re-insert the key.
+
+const entries = new Map(); // key → { value, expiresAt, staleUntil, size }
+const inFlight = new Map(); // key → pending refresh promise
+const counters = {};        // namespace → { hits, staleHits, misses }, since startup
+let store = null;
+let totalBytes = 0;
+let dirty = false;
+let flushTimer = null;
+
+function namespaceName(key) {
+    return key.slice(0, key.indexOf(':'));
+}
+
+function namespaceOf(key) {
+    return NAMESPACES[namespaceName(key)] || DEFAULT_NAMESPACE;
+}
+
+function count(key, outcome) {
+    const name = namespaceName(key);
+    if (!counters[name]) counters[name] = { hits: 0, staleHits: 0, misses: 0 };
+    counters[name][outcome]++;
+}
+
+// Loaded on first use, so requiring this module has no side effects
+function ensureLoaded() {
+    if (store) return;
+    store = createStore();
+    merge(store.load());
+    flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+}
+
+// Takes in saved entries that are usable and newer than ours
+function merge(saved) {
+    const now = Date.now();
+    for (const [key, entry] of saved) {
+        if (entry.staleUntil !== null && entry.staleUntil <= now) continue;
+        const ours = entries.get(key);
+        if (!ours || (entry.expiresAt ?? Infinity) > (ours.expiresAt ?? Infinity)) insert(key, entry);
+    }
+    evict();
+}
+
+function insert(key, entry) {
+    remove(key);
+    entries.set(key, entry);
+    totalBytes += entry.size;
+}
+
+function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.size;
+}
+
+function evict() {
+    for (const key of entries.keys()) {
+        if (totalBytes <= MAX_BYTES) break;
+        if (namespaceOf(key).pinned) continue;
+        remove(key);
+        dirty = true;
+    }
+}
+
+// Fresh value, or null. Stale values are only served by getOrRefresh.
+function get(key) {
+    const value = peek(key);
+    count(key, value === null ? 'misses' : 'hits');
+    return value;
+}
+
+function peek(key) {
+    ensureLoaded();
+    const entry = entries.get(key);
+    if (!entry) return null;
+    const now = Date.now();
+    if (entry.expiresAt !== null && now > entry.expiresAt) {
+        if (entry.staleUntil !== null && now > entry.staleUntil) { remove(key); dirty = true; }
+        return null;
+    }
+    insert(key, entry); // mark as most recently used
+    return entry.value;
+}
+
+// ttlMs overrides the namespace TTL for this entry
+function set(key, value, ttlMs) {
+    ensureLoaded();
+    const { ttl, stale } = namespaceOf(key);
+    const freshFor = ttlMs ?? ttl;
+    const now = Date.now();
+    const expiresAt = freshFor === null ? null : now + freshFor;
+    insert(key, {
+        value,
+        expiresAt,
+        staleUntil: expiresAt === null ? null : expiresAt + stale,
+        size: key.length + (JSON.stringify(value)?.length || 0),
+    });
+    dirty = true;
+    evict();
+}
+
+function del(key) {
+    ensureLoaded();
+    if (entries.has(key)) dirty = true;
+    remove(key);
+}
+
+// Stale-while-revalidate: fresh values are returned as-is; stale ones are
+// returned immediately while `load()` refreshes them in the background;
+// missing ones wait for `load()`. Concurrent refreshes of a key are shared.
+async function getOrRefresh(key, load) {
+    const fresh = peek(key);
+    if (fresh !== null) {
+        count(key, 'hits');
+        return fresh;
+    }
+
+    const entry = entries.get(key);
+    if (entry) {
+        count(key, 'staleHits');
+        refresh(key, load).catch(err => console.error(`[cache] Refresh failed for ${key}:`, err.message));
+        return entry.value;
+    }
+    count(key, 'misses');
+    return refresh(key, load);
+}
+
+// Never waits for Letterboxd: returns the cached value, stale or not, or
+// null, and loads missing and stale ones in the background. For work over
+// whole lists, where waiting for every film would take minutes.
+function getOrWarm(key, load) {
+    const fresh = peek(key);
+    if (fresh !== null) {
+        count(key, 'hits');
+        return fresh;
+    }
+    const entry = entries.get(key);
+    count(key, entry ? 'staleHits' : 'misses');
+    refresh(key, load).catch(err => console.error(`[cache] Warming failed for ${key}:`, err.message));
+    return entry ? entry.value : null;
+}
+
+function refresh(key, load) {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = Promise.resolve()
+        .then(load)
+        .then(value => { set(key, value); return value; })
+        .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+}
+
+// Drops every entry in a namespace ("watchlist"). Returns how many went.
+function clearNamespace(name) {
+    ensureLoaded();
+    let removed = 0;
+    for (const key of [...entries.keys()]) {
+        if (namespaceName(key) === name) { remove(key); removed++; }
+    }
+    if (removed) dirty = true;
+    return removed;
+}
+
+// Per namespace: entries and bytes held now, and hits / stale hits / misses
+// since startup. hitRate counts stale hits as hits (they were served).
+function stats() {
+    ensureLoaded();
+    const result = {};
+    const row = (name) => (result[name] ??= { entries: 0, bytes: 0, hits: 0, staleHits: 0, misses: 0, hitRate: null });
+    for (const [key, entry] of entries) {
+        const ns = row(namespaceName(key));
+        ns.entries++;
+        ns.bytes += entry.size;
+    }
+    for (const [name, c] of Object.entries(counters)) {
+        const ns = Object.assign(row(name), c);
+        const lookups = c.hits + c.staleHits + c.misses;
+        ns.hitRate = lookups ? (c.hits + c.staleHits) / lookups : null;
+    }
+    return { totalBytes, maxBytes: MAX_BYTES, namespaces: result };
+}
+
+// Saves the cache, first taking in what another process saved meanwhile so
+// neither overwrites the other's entries. One save at a time; resolves once
+// this one is written.
+let flushing = Promise.resolve();
+
+function flush() {
+    flushing = flushing.then(save);
+    return flushing;
+}
+
+async function save() {
+    if (!store) return;
+    const theirs = await store.loadIfChanged();
+    if (theirs) merge(theirs);
+    if (!dirty) return;
+    dirty = false;
+    if (!(await store.save([...entries]))) dirty = true; // try again next time
+}
+
+module.exports = { get, set, del, getOrRefresh, getOrWarm, clearNamespace, stats, flush };
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true }); // stdout is for results
+
+const { getWatchlist, getFilmMeta, rateFilm, resolveSlug, checkSession, hasSession, RATING_MAP } = require('./letterboxd');
+const { defaultConfig, serverCredentials, normalizeUsername } = require('./config');
+const { closeBrowser } = require('./browser');
+const cache = require('./cache');
+
+// ── letterboxio CLI ───────────────────────────────────────────────────────────
+// The addon's Letterboxd functions from the command line, for cron jobs and
+// smoke tests. Uses the server's account and data directory from .env.
+// warm-cache can run next to the server: both save {DATA_DIR}/cache.json and
+// take in each other's entries, so the server picks them up within 30s.
+//
+// Results go to stdout, progress and errors to stderr. Exit codes:
+
+const EXIT = {
+    OK: 0,
+    FAILED: 1,        // Letterboxd answered no: bad film, rating rejected, …
+    USAGE: 2,
+    NOT_LOGGED_IN: 3, // no credentials, or the login itself failed
+    UNAVAILABLE: 4,   // Letterboxd or the browser unreachable; try again later
+};
+
+const USAGE = `Usage: letterboxio <command>
+
+  rate <imdbId|slug> <stars>  Rate a film (½-star steps, 0 removes the rating)
+  watchlist <user>            Print a user's watchlist as JSON
+  resolve <imdbId>            Print the Letterboxd slug for an IMDb id
+  warm-cache [user]           Fetch metadata for every film on a watchlist
+                              (default: LETTERBOXD_USERNAME)
+  login-check                 Log LETTERBOXD_USERNAME in and check that
+                              Letterboxd shows it signed in
+
+Exit codes: 0 ok, 1 failed, 2 usage, 3 not logged in, 4 Letterboxd unavailable`;
+
+// An error the command wants reported with a given exit code
+function fail(message, exitCode) {
+    return Object.assign(new Error(message), { exitCode });
+}
+
+// Network errors, 429/403/5xx and an open circuit are worth retrying later;
+// anything else Letterboxd answered (404, …) is a real failure
+function exitCodeFor(err) {
+    if (err.exitCode !== undefined) return err.exitCode;
+    const status = err.response?.status;
+    if (status === 404) return EXIT.FAILED;
+    return EXIT.UNAVAILABLE;
+}
+
+// Errors that mean the account isn't logged in: a failed password login, an
+// expired session, a page that came back signed out
+const LOGIN_ERROR = /Login failed|no longer valid|sign.in|not be logged in/i;
+
+// Exit code for a failed { success: false, error, retryable } action
+function actionExitCode(result) {
+    if (LOGIN_ERROR.test(result.error)) return EXIT.NOT_LOGGED_IN;
+    return result.retryable ? EXIT.UNAVAILABLE : EXIT.FAILED;
+}
+
+function credentials() {
+    const found = serverCredentials();
+    if (!found || !hasSession(found)) {
+        throw fail('LETTERBOXD_USERNAME with LETTERBOXD_PASSWORD or LETTERBOXD_COOKIES must be set', EXIT.NOT_LOGGED_IN);
+    }
+    return found;
+}
+
+function usernameArg(value) {
+    const username = normalizeUsername(value);
+    if (!username) throw fail(USAGE, EXIT.USAGE);
+    return username;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+const COMMANDS = {
+    async rate(target, stars) {
+        if (!target || (stars !== '0' && !RATING_MAP[stars])) throw fail(USAGE, EXIT.USAGE);
+        const account = credentials();
+        let slug = target;
+        if (/^tt\d+$/.test(target)) {
+            slug = await resolveSlug(target, account);
+            if (!slug) throw fail(`No Letterboxd film for ${target}`, EXIT.FAILED);
+        } else if (!/^[a-z0-9-]+$/.test(target)) {
+            throw fail(`Not an IMDb id or a Letterboxd slug: ${target}`, EXIT.USAGE);
+        }
+
+        const result = await rateFilm(slug, stars, account);
+        if (!result.success) throw fail(`Could not rate ${slug}: ${result.error}`, actionExitCode(result));
+        console.error(stars === '0' ? `Removed the rating for ${slug}` : `Rated ${slug} ${stars}★`);
+    },
+
+    async watchlist(user) {
+        const films = await getWatchlist(usernameArg(user));
+        console.log(JSON.stringify(films, null, 2));
+    },
+
+    async resolve(imdbId) {
+        if (!/^tt\d+$/.test(imdbId || '')) throw fail(USAGE, EXIT.USAGE);
+        // Without an account only the slug cache can answer
+        const account = serverCredentials();
+        const usable = account && hasSession(account) ? account : null;
+        const slug = await resolveSlug(imdbId, usable);
+        if (!slug && !usable) {
+            throw fail(`${imdbId} is not in the slug cache; looking it up needs LETTERBOXD_USERNAME with LETTERBOXD_PASSWORD or LETTERBOXD_COOKIES`, EXIT.NOT_LOGGED_IN);
+        }
+        if (!slug) throw fail(`No Letterboxd film found for ${imdbId}`, EXIT.FAILED);
+        console.log(slug);
+    },
+
+    async 'warm-cache'(user) {
+        const username = usernameArg(user || defaultConfig().username);
+        const films = await getWatchlist(username);
+        console.error(`Fetching metadata for ${films.length} films on ${username}'s watchlist...`);
+        // All at once: the request scheduler paces them
+        const metas = await Promise.all(films.map(film => getFilmMeta(film.slug)));
+        // getFilmMeta answers an empty meta (no title) when the page couldn't be read
+        const missing = films.filter((_, i) => !metas[i].title);
+        console.error(`${films.length - missing.length} of ${films.length} films cached`);
+        if (missing.length) {
+            throw fail(`No metadata for: ${missing.map(f => f.slug).join(', ')}`, EXIT.UNAVAILABLE);
+        }
+    },
+
+    async 'login-check'() {
+        const account = credentials();
+        let session;
+        try {
+            session = await checkSession(account);
+        } catch (err) {
+            throw fail(err.message, LOGIN_ERROR.test(err.message) ? EXIT.NOT_LOGGED_IN : EXIT.UNAVAILABLE);
+        }
+        if (!session.loggedIn) throw fail(`Letterboxd shows ${session.username} signed out`, EXIT.NOT_LOGGED_IN);
+        console.error(`Logged in as ${session.username}`);
+    },
+};
+
+async function main(argv) {
+    const [name, ...args] = argv;
+    if (name === 'help' || name === '--help' || name === '-h') {
+        console.log(USAGE);
+        return EXIT.OK;
+    }
+    const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+    if (!command) {
+        console.error(USAGE);
+        return EXIT.USAGE;
+    }
+
+    try {
+        await command(...args);
+        return EXIT.OK;
+    } catch (err) {
+        console.error(err.exitCode === EXIT.USAGE ? err.message : `letterboxio ${name}: ${err.message}`);
+        return exitCodeFor(err);
+    } finally {
+        await cache.flush();
+        await closeBrowser();
+    }
+}
+
+module.exports = { main, exitCodeFor, actionExitCode, EXIT, USAGE };
+
+if (require.main === module) {
+    // exitCode rather than exit(), so a long JSON answer on a pipe isn't cut off
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
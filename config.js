@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// ── Per-user addon config ─────────────────────────────────────────────────────
+// Each install URL carries its own config segment: /{token}/manifest.json.
+// The token is base64url JSON with the Letterboxd username and options.
+// A rating password, if given, is AES-256-GCM encrypted with CONFIG_SECRET
+// before it goes into the token — it never appears in the URL in plain text.
+// Tokens for the server's own account (.env) carry a grant instead: an HMAC
+// of the username, issued by /configure once the account's password (or
+// ADMIN_PASSWORD) was given. Its key is CONFIG_SECRET, else ACTION_SECRET,
+// else a random one made at startup — grants then last until a restart.
+
+const DEFAULT_OPTIONS = {
+    rating: true,  // show rating buttons in the stream list
+    country: null, // two-letter code for "Where to watch", e.g. "US"
+    services: [],  // streaming services the user subscribes to, by name
+};
+
+function getSecretKey() {
+    const secret = process.env.CONFIG_SECRET;
+    if (!secret) return null;
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+function canEncrypt() {
+    return !!getSecretKey();
+}
+
+function encrypt(plaintext) {
+    const key = getSecretKey();
+    if (!key) throw new Error('CONFIG_SECRET must be set to store credentials');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [iv, tag, data].map(b => b.toString('base64url')).join('.');
+}
+
+function decrypt(blob) {
+    const key = getSecretKey();
+    if (!key) throw new Error('CONFIG_SECRET must be set to read credentials');
+    const [iv, tag, data] = String(blob).split('.').map(s => Buffer.from(s, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+let ephemeralGrantKey = null;
+
+function getGrantKey() {
+    const key = getSecretKey();
+    if (key) return key;
+    if (process.env.ACTION_SECRET) return crypto.createHash('sha256').update(`server-account:${process.env.ACTION_SECRET}`).digest();
+    if (!ephemeralGrantKey) {
+        ephemeralGrantKey = crypto.randomBytes(32);
+        console.warn('[config] No CONFIG_SECRET or ACTION_SECRET set — server-account install URLs stop working after a restart');
+    }
+    return ephemeralGrantKey;
+}
+
+// Whether server-account grants survive a restart
+function hasStableGrantKey() {
+    return !!(process.env.CONFIG_SECRET || process.env.ACTION_SECRET);
+}
+
+// The server-account grant for a username
+function grantFor(username) {
+    return crypto.createHmac('sha256', getGrantKey()).update(`server-account:${username}`).digest('base64url');
+}
+
+function hasGrant(username, grant) {
+    if (typeof grant !== 'string') return false;
+    const expected = grantFor(username);
+    if (grant.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(grant), Buffer.from(expected));
+}
+
+function normalizeUsername(username) {
+    const value = String(username || '').trim().toLowerCase();
+    return /^[a-z0-9_]{2,}$/.test(value) ? value : null;
+}
+
+// "us" → "US"; anything that isn't a two-letter code → null
+function parseCountry(value) {
+    const code = String(value || '').trim().toUpperCase();
+    return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+// "Netflix, MUBI" or ["Netflix", "MUBI"] → ["Netflix", "MUBI"]
+function parseServices(value) {
+    return (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(s => String(s).trim())
+        .filter(Boolean);
+}
+
+// Accepts "owner/list-slug", "owner/list/list-slug" or a full list URL,
+// optionally followed by "| Catalog name". Returns { owner, slug, name } or null.
+function parseListRef(value) {
+    const [ref, ...nameParts] = String(value || '').split('|');
+    const path = ref.trim()
+        .replace(/^https?:\/\/(www\.)?letterboxd\.com/i, '')
+        .replace(/^\/+|\/+$/g, '')
+        .split('/')
+        .filter(part => part && part !== 'list');
+    if (path.length !== 2) return null;
+
+    const owner = normalizeUsername(path[0]);
+    const slug = path[1].toLowerCase();
+    if (!owner || !/^[a-z0-9-]+$/.test(slug)) return null;
+
+    const name = nameParts.join('|').trim()
+        || slug.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+    return { owner, slug, name };
+}
+
+// { username, password?, serverAccount?, options, lists } → URL-safe token
+function encodeConfig({ username, password, serverAccount = false, options = {}, lists = [] }) {
+    const user = normalizeUsername(username);
+    if (!user) throw new Error('A valid Letterboxd username is required');
+
+    const payload = { u: user, o: { ...DEFAULT_OPTIONS, ...options } };
+    if (serverAccount) {
+        payload.g = grantFor(user);
+    } else if (password) {
+        payload.p = encrypt(password);
+    }
+    if (lists.length) payload.l = lists.map(({ owner, slug, name }) => [owner, slug, name]);
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// URL token → { username, password, serverAccount, options, lists }, or null
+// if it can't be read
+function decodeConfig(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        const username = normalizeUsername(payload.u);
+        if (!username) return null;
+        return {
+            username,
+            password: payload.p ? decrypt(payload.p) : null,
+            serverAccount: hasGrant(username, payload.g),
+            options: { ...DEFAULT_OPTIONS, ...payload.o },
+            lists: (payload.l || []).map(([owner, slug, name]) => ({ owner, slug, name })),
+        };
+    } catch (err) {
+        console.error('[config] Invalid config token:', err.message);
+        return null;
+    }
+}
+
+// Where server-side state lives: job queue, cache, saved sessions
+function dataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, 'data');
+}
+
+// Config used by the unconfigured routes (/manifest.json etc.). It reads the
+// server account's public pages but carries no credentials.
+function defaultConfig() {
+    return {
+        username: normalizeUsername(process.env.LETTERBOXD_USERNAME) || 'snuffalobill',
+        password: null,
+        serverAccount: false,
+        options: {
+            ...DEFAULT_OPTIONS,
+            country: parseCountry(process.env.WATCH_COUNTRY),
+            services: parseServices(process.env.WATCH_SERVICES),
+        },
+        lists: (process.env.LETTERBOXD_LISTS || '').split(',').map(parseListRef).filter(Boolean),
+    };
+}
+
+// Login credentials for a config: its own password, or the server's account
+// when the token carries a grant for it. null otherwise — the bare routes
+// never act on an account.
+function getCredentials(config) {
+    if (config.password) return { username: config.username, password: config.password };
+    const server = serverCredentials();
+    if (config.serverAccount && server?.username === config.username) return server;
+    return null;
+}
+
+// The server's own account from .env. It may have only a cookie jar
+// (LETTERBOXD_COOKIES), in which case password is null. null when unset.
+function serverCredentials() {
+    const username = normalizeUsername(process.env.LETTERBOXD_USERNAME);
+    if (!username || !(process.env.LETTERBOXD_PASSWORD || process.env.LETTERBOXD_COOKIES)) return null;
+    return { username, password: process.env.LETTERBOXD_PASSWORD || null };
+}
+
+module.exports = { encodeConfig, decodeConfig, defaultConfig, getCredentials, serverCredentials, canEncrypt, hasStableGrantKey, normalizeUsername, parseListRef, parseCountry, parseServices, dataDir };
@@ -0,0 +1,95 @@
+const { watchlistPages, ratingPages, diaryPages, getFilmMeta } = require('./letterboxd');
+
+// ── Exports ───────────────────────────────────────────────────────────────────
+// /export/{ratings,diary,watchlist}.{csv,json}. The CSV columns are the ones
+// Letterboxd's own importer reads (letterboxd.com/import), with imdbID filled
+// in from the film pages, so an export can be imported back as-is.
+//
+// Exports are written out one scraped page at a time; a large account never
+// sits in memory as a whole.
+
+const EXPORTS = {
+    ratings: {
+        pages: ratingPages,
+        columns: ['Title', 'Year', 'imdbID', 'LetterboxdURI', 'Rating', 'Rating10'],
+    },
+    diary: {
+        pages: diaryPages,
+        columns: ['Title', 'Year', 'imdbID', 'LetterboxdURI', 'Rating', 'Rating10', 'WatchedDate'],
+    },
+    watchlist: {
+        pages: watchlistPages,
+        columns: ['Title', 'Year', 'imdbID', 'LetterboxdURI'],
+    },
+};
+
+const FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+};
+
+// A scraped film → one export row, keyed by column name
+async function toRow(film) {
+    const meta = await getFilmMeta(film.slug);
+    return {
+        Title: film.title || meta.title || film.slug,
+        Year: film.year || meta.year || '',
+        imdbID: meta.imdbId || '',
+        LetterboxdURI: `https://letterboxd.com/film/${film.slug}/`,
+        Rating: film.rating || '',
+        Rating10: film.rating ? film.rating * 2 : '',
+        WatchedDate: film.watchedDate || '',
+    };
+}
+
+function csvLine(values) {
+    return values.map(value => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\n';
+}
+
+// Writes an export to the response. Answers 404 for an unknown name and 502
+// if the first page can't be scraped; after that, a failing page ends the
+// file early (logged), since the status line has already gone out.
+async function streamExport(res, username, name, format) {
+    const spec = EXPORTS[name];
+    if (!spec || !FORMATS[format]) return res.status(404).json({ error: 'Unknown export' });
+
+    const pages = spec.pages(username)[Symbol.asyncIterator]();
+    let first;
+    try {
+        first = await pages.next();
+    } catch (err) {
+        console.error(`[export] ${username}/${name}:`, err.message);
+        return res.status(502).json({ error: `Could not read ${name} from Letterboxd` });
+    }
+
+    res.setHeader('Content-Type', FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${username}-${name}.${format}"`);
+    res.write(format === 'csv' ? csvLine(spec.columns) : '[');
+
+    let count = 0;
+    let aborted = false;
+    res.on('close', () => { aborted = !res.writableEnded; });
+
+    for (let result = first; !result.done && !aborted; result = await pages.next()) {
+        // The page's IMDb ids all at once; the request scheduler paces them
+        const rows = await Promise.all(result.value.map(toRow));
+        for (const row of rows) {
+            if (format === 'csv') {
+                res.write(csvLine(spec.columns.map(column => row[column])));
+            } else {
+                const entry = Object.fromEntries(spec.columns.map(column => [column, row[column] === '' ? null : row[column]]));
+                res.write(`${count ? ',' : ''}\n${JSON.stringify(entry)}`);
+            }
+            count++;
+        }
+    }
+
+    if (format === 'json') res.write('\n]\n');
+    res.end();
+    console.log(`[export] ${username}/${name}.${format}: ${count} films${aborted ? ' (client went away)' : ''}`);
+}
+
+module.exports = { streamExport };
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cache = require('./cache');
+const { dataDir } = require('./config');
+const { enqueueJob, listJobs } = require('./jobs');
+const { RATING_MAP } = require('./letterboxd');
+
+// ── CSV import ────────────────────────────────────────────────────────────────
+// Brings ratings and watchlists over from Letterboxd, IMDb and Trakt CSV
+// exports. A file becomes an import: a list of rate / watchlist jobs that is
+// fed into the durable job queue one at a time, only once the previous one
+// has run, and never faster than IMPORT_INTERVAL_SECONDS. Imports live in
+// {DATA_DIR}/imports.json with their position, so a restart carries on where
+// it stopped, and uploading the same file again resumes it instead of
+// starting over. Once an import is done only its progress is kept: the film
+// list and the config token are dropped.
+
+const IMPORTS_FILE = path.join(dataDir(), 'imports.json');
+const INTERVAL_MS = (parseFloat(process.env.IMPORT_INTERVAL_SECONDS) || 10) * 1000;
+const REPORT_LIMIT = 50; // skipped rows listed in a report
+
+let imports = [];
+let timer = null;
+
+// ── CSV parsing ───────────────────────────────────────────────────────────────
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+// ── Export formats ────────────────────────────────────────────────────────────
+// Each format knows its header, where the film is and how its rating reads.
+// A file with a rating column is a ratings import (rows without a rating are
+// skipped); one without is a watchlist import.
+
+const FORMATS = {
+    // ratings.csv / watchlist.csv: Date,Name,Year,Letterboxd URI[,Rating] (½–5)
+    letterboxd: {
+        detect: header => header.includes('Letterboxd URI'),
+        film: row => ({ uri: row['Letterboxd URI'] }),
+        ratingColumn: 'Rating',
+        scale: 5,
+    },
+    // Const,Your Rating,Date Rated,Title,URL,Title Type,… (1–10); the
+    // watchlist export has the same columns without Your Rating
+    imdb: {
+        detect: header => header.includes('Const'),
+        film: row => ({ imdbId: row.Const }),
+        ratingColumn: 'Your Rating',
+        scale: 10,
+        skip: row => (/series|episode|game|podcast/i.test(row['Title Type'] || '') ? `not a film (${row['Title Type']})` : null),
+    },
+    // rated_at,type,title,year,rating,…,imdb_id,… (1–10)
+    trakt: {
+        detect: header => header.includes('imdb_id') || header.includes('imdb'),
+        film: row => ({ imdbId: row.imdb_id || row.imdb }),
+        ratingColumn: 'rating',
+        scale: 10,
+        skip: row => (row.type && row.type !== 'movie' ? `not a film (${row.type})` : null),
+    },
+};
+
+// "8" on a 10-point scale → 4; "3.5" on Letterboxd's own → 3.5.
+// null unless it lands on one of RATING_MAP's half stars.
+function toStars(value, scale) {
+    const number = parseFloat(value);
+    if (!(number > 0)) return null;
+    const stars = scale === 10 ? Math.round(number) / 2 : Math.round(number * 2) / 2;
+    return RATING_MAP[String(stars)] ? stars : null;
+}
+
+// CSV text → { format, kind, total, items, skipped }. `kind` forces
+// "ratings" or "watchlist"; by default it follows the file's columns.
+function planImport(text, kind) {
+    const [header = [], ...rows] = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+    const columns = header.map(h => h.trim());
+    const format = Object.keys(FORMATS).find(name => FORMATS[name].detect(columns));
+    if (!format) throw new Error('Not a Letterboxd, IMDb or Trakt CSV export (unrecognised header)');
+
+    const spec = FORMATS[format];
+    const resolvedKind = kind || (columns.includes(spec.ratingColumn) ? 'ratings' : 'watchlist');
+    if (resolvedKind !== 'ratings' && resolvedKind !== 'watchlist') throw new Error(`Unknown import kind: ${kind}`);
+
+    const items = [];
+    const skipped = [];
+    rows.forEach((values, i) => {
+        const line = i + 2; // 1-based, after the header
+        const row = Object.fromEntries(columns.map((name, j) => [name, (values[j] || '').trim()]));
+        const title = row.Name || row.Title || row.title || null;
+        const skip = (reason) => skipped.push({ line, title, reason });
+
+        const film = spec.film(row);
+        if (!film.uri && !/^tt\d+$/.test(film.imdbId || '')) return skip('no film link or IMDb id');
+        const notAFilm = spec.skip?.(row);
+        if (notAFilm) return skip(notAFilm);
+
+        if (resolvedKind === 'watchlist') return items.push({ ...film, title, type: 'watchlist', add: true });
+
+        const raw = row[spec.ratingColumn];
+        if (!raw) return skip('no rating');
+        const stars = toStars(raw, spec.scale);
+        if (stars === null) return skip(`rating ${raw} is not on a half-star scale`);
+        items.push({ ...film, title, type: 'rate', stars });
+    });
+
+    return { format, kind: resolvedKind, total: rows.length, items, skipped };
+}
+
+// What an import would do, without queueing anything
+function dryRunReport(plan) {
+    // Slugs that are already known; the rest are looked up on Letterboxd as
+    // the import runs
+    const known = plan.items.filter(item => (item.uri
+        ? !/boxd\.it/.test(item.uri) || cache.get(`slug:${item.uri}`)
+        : cache.get(`slug:${item.imdbId}`)));
+    return {
+        format: plan.format,
+        kind: plan.kind,
+        rows: plan.total,
+        jobs: plan.items.length,
+        ratings: countBy(plan.items.filter(item => item.type === 'rate'), item => item.stars),
+        slugsAlreadyKnown: known.length,
+        skipped: plan.skipped.length,
+        skippedRows: plan.skipped.slice(0, REPORT_LIMIT),
+        estimatedMinutes: Math.ceil((plan.items.length * INTERVAL_MS) / 60000),
+    };
+}
+
+function countBy(items, key) {
+    const counts = {};
+    for (const item of items) counts[key(item)] = (counts[key(item)] || 0) + 1;
+    return counts;
+}
+
+// ── Running imports ───────────────────────────────────────────────────────────
+
+function load() {
+    try {
+        imports = JSON.parse(fs.readFileSync(IMPORTS_FILE, 'utf8')).imports || [];
+        // Saved before finished imports were trimmed
+        const untrimmed = imports.filter(imp => imp.status === 'done' && imp.items);
+        untrimmed.forEach(finish);
+        if (untrimmed.length) save();
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('[import] Could not read imports file:', err.message);
+        imports = [];
+    }
+}
+
+function save() {
+    try {
+        fs.mkdirSync(path.dirname(IMPORTS_FILE), { recursive: true });
+        const tmp = `${IMPORTS_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ imports }));
+        fs.renameSync(tmp, IMPORTS_FILE);
+    } catch (err) {
+        console.error('[import] Could not write imports file:', err.message);
+    }
+}
+
+// Loads saved imports and resumes the unfinished ones. Call after startJobQueue.
+function startImports() {
+    load();
+    const running = imports.filter(imp => imp.status === 'running').length;
+    if (running) console.log(`[import] Resuming ${running} import(s)`);
+    timer = setInterval(feed, INTERVAL_MS);
+    timer.unref();
+}
+
+// Queues the next job of each running import whose previous job has run
+function feed() {
+    let changed = false;
+    for (const imp of imports.filter(i => i.status === 'running')) {
+        const waiting = listJobs(imp.username).pending.some(job => job.importId === imp.id);
+        if (waiting) continue;
+
+        const item = imp.items[imp.next];
+        if (!item) {
+            finish(imp);
+            console.log(`[import] ${imp.id} finished: ${imp.total} job(s) queued`);
+        } else {
+            const { title, ...job } = item;
+            enqueueJob({ ...job, importId: imp.id, username: imp.username, configToken: imp.configToken });
+            imp.next++;
+        }
+        imp.updatedAt = Date.now();
+        changed = true;
+    }
+    if (changed) save();
+}
+
+// Marks the import done and drops what only a running import needs
+function finish(imp) {
+    imp.status = 'done';
+    imp.total ??= imp.items.length;
+    delete imp.items;
+    delete imp.configToken;
+}
+
+// Starts importing `plan` into the account, or resumes the same file's
+// earlier import. Returns the import's status.
+function createImport(plan, text, { username, configToken }) {
+    const hash = crypto.createHash('sha256').update(`${username}\n${plan.kind}\n${text}`).digest('hex');
+    const existing = imports.find(imp => imp.hash === hash);
+    if (existing) return importStatus(existing);
+
+    const now = Date.now();
+    const imp = {
+        id: crypto.randomUUID(),
+        hash,
+        username,
+        configToken,
+        format: plan.format,
+        kind: plan.kind,
+        items: plan.items,
+        total: plan.items.length,
+        next: 0,
+        status: 'running',
+        createdAt: now,
+        updatedAt: now,
+    };
+    if (!plan.items.length) finish(imp);
+    imports.push(imp);
+    save();
+    console.log(`[import] ${username}: ${plan.items.length} ${plan.kind} job(s) from a ${plan.format} export`);
+    return importStatus(imp);
+}
+
+// Progress without the film list or config token
+function importStatus(imp) {
+    return {
+        id: imp.id,
+        format: imp.format,
+        kind: imp.kind,
+        status: imp.status,
+        queued: imp.next,
+        total: imp.total ?? imp.items.length,
+        createdAt: imp.createdAt,
+        updatedAt: imp.updatedAt,
+    };
+}
+
+function listImports(username) {
+    return imports
+        .filter(imp => imp.username === username)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(importStatus);
+}
+
+module.exports = { parseCsv, toStars, planImport, dryRunReport, startImports, createImport, listImports };
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataDir } = require('./config');
+
+// ── Durable job queue ─────────────────────────────────────────────────────────
+// Film actions (ratings, diary entries, watchlist, likes) are queued here and
+// run one at a time. The queue lives in {DATA_DIR}/jobs.json so a restart or
+// redeploy doesn't lose anything, including the dedupe window.
+//
+// Jobs never hold credentials: they carry the user's config token, which is
+// resolved back to credentials when the job runs.
+
+const JOBS_FILE = path.join(dataDir(), 'jobs.json');
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;    // 30s, 1m, 2m, 4m, 8m
+const MAX_BACKOFF_MS = 60 * 60 * 1000; // 1 hour
+const DEDUPE_WINDOW_MS = 5000;
+const HISTORY_LIMIT = 200;             // finished jobs kept for /jobs
+
+let jobs = [];
+let recent = {}; // dedupe key → timestamp of last accepted request
+let runner = null;
+let running = false;
+let timer = null;
+
+function load() {
+    try {
+        const data = JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+        jobs = data.jobs || [];
+        recent = data.recent || {};
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('[jobs] Could not read queue file:', err.message);
+        jobs = [];
+        recent = {};
+    }
+    // A job that was mid-run when the process died gets another go
+    for (const job of jobs) {
+        if (job.status === 'running') job.status = 'pending';
+    }
+}
+
+// Write to a temp file and rename, so a crash mid-write can't corrupt the queue
+function save() {
+    try {
+        fs.mkdirSync(path.dirname(JOBS_FILE), { recursive: true });
+        const tmp = `${JOBS_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ jobs, recent }));
+        fs.renameSync(tmp, JOBS_FILE);
+    } catch (err) {
+        console.error('[jobs] Could not write queue file:', err.message);
+    }
+}
+
+// Loads the queue from disk and starts working through it.
+// `runJob(job)` resolves to { success, error, retryable }.
+function startJobQueue(runJob) {
+    runner = runJob;
+    load();
+    const pending = jobs.filter(j => j.status === 'pending').length;
+    if (pending) console.log(`[jobs] Resuming ${pending} pending job(s)`);
+    schedule();
+}
+
+// Returns false if the same key was accepted within the dedupe window.
+// Android TV fires the same request 3-4 times simultaneously.
+function acceptOnce(key) {
+    const now = Date.now();
+    for (const [k, at] of Object.entries(recent)) {
+        if (now - at >= DEDUPE_WINDOW_MS) delete recent[k];
+    }
+    if (recent[key]) {
+        console.log(`[jobs] Duplicate ignored for ${key}`);
+        return false;
+    }
+    recent[key] = now;
+    save();
+    return true;
+}
+
+function enqueueJob(job) {
+    const now = Date.now();
+    jobs.push({
+        ...job,
+        id: crypto.randomUUID(),
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        nextRunAt: now,
+    });
+    save();
+    schedule();
+}
+
+function schedule() {
+    if (running || !runner) return;
+    clearTimeout(timer);
+    const pending = jobs.filter(j => j.status === 'pending');
+    if (!pending.length) return;
+    const next = Math.min(...pending.map(j => j.nextRunAt));
+    timer = setTimeout(processNext, Math.max(0, next - Date.now()));
+}
+
+async function processNext() {
+    const now = Date.now();
+    const job = jobs
+        .filter(j => j.status === 'pending' && j.nextRunAt <= now)
+        .sort((a, b) => a.nextRunAt - b.nextRunAt)[0];
+    if (!job) return schedule();
+
+    running = true;
+    job.status = 'running';
+    job.attempts++;
+    save();
+
+    let result;
+    try {
+        result = await runner(job);
+    } catch (err) {
+        result = { success: false, error: err.message, retryable: true };
+    }
+
+    job.updatedAt = Date.now();
+    if (result.success) {
+        job.status = 'succeeded';
+        job.error = null;
+        console.log(`[${job.type}] ${job.username}/${job.slug || job.imdbId}: OK`);
+    } else if (result.retryable !== false && job.attempts < MAX_ATTEMPTS) {
+        const delay = Math.min(BASE_BACKOFF_MS * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+        job.status = 'pending';
+        job.error = result.error;
+        job.nextRunAt = job.updatedAt + delay;
+        console.log(`[jobs] ${job.type} ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s: ${result.error}`);
+    } else {
+        job.status = 'failed';
+        job.error = result.error;
+        console.log(`[${job.type}] ${job.username}/${job.slug || job.imdbId}: FAILED: ${result.error}`);
+    }
+
+    prune();
+    save();
+    running = false;
+    schedule();
+}
+
+// Keep every pending job but only the most recent finished ones
+function prune() {
+    const finished = jobs.filter(j => j.status === 'succeeded' || j.status === 'failed');
+    if (finished.length <= HISTORY_LIMIT) return;
+    const drop = new Set(finished.sort((a, b) => a.updatedAt - b.updatedAt)
+        .slice(0, finished.length - HISTORY_LIMIT)
+        .map(j => j.id));
+    jobs = jobs.filter(j => !drop.has(j.id));
+}
+
+// Puts failed jobs back in the queue with a fresh set of attempts.
+// Returns how many were requeued.
+function retryFailed() {
+    const now = Date.now();
+    const failed = jobs.filter(j => j.status === 'failed');
+    for (const job of failed) {
+        Object.assign(job, { status: 'pending', attempts: 0, error: null, updatedAt: now, nextRunAt: now });
+    }
+    if (failed.length) {
+        console.log(`[jobs] Retrying ${failed.length} failed job(s)`);
+        save();
+        schedule();
+    }
+    return failed.length;
+}
+
+// Jobs grouped by status, newest first, without their config tokens.
+// Pass a username to only see that user's jobs.
+function listJobs(username) {
+    const visible = jobs
+        .filter(j => !username || j.username === username)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(({ configToken, ...job }) => job);
+    return {
+        pending: visible.filter(j => j.status === 'pending' || j.status === 'running'),
+        succeeded: visible.filter(j => j.status === 'succeeded'),
+        failed: visible.filter(j => j.status === 'failed'),
+    };
+}
+
+module.exports = { startJobQueue, enqueueJob, acceptOnce, listJobs, retryFailed };
@@ -1,35 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-puppeteer.use(StealthPlugin());
+const cache = require('./cache');
+const { dataDir } = require('./config');
+const { withPage, getContext, peekContext, peekContexts } = require('./browser');
+const metrics = require('./metrics');
+const { schedule, reportChallenge } = require('./scheduler');
+const { recordPage } = require('./recorder');
 
-const BASE_URL = 'https://letterboxd.com';
+// Where pages are scraped from. Point it at the replay server (recorder.js)
+// to run against recorded pages.
+const BASE_URL = (process.env.LETTERBOXD_BASE_URL || 'https://letterboxd.com').replace(/\/+$/, '');
 
 // ── Cookie-based session ──────────────────────────────────────────────────────
-// Rather than scraping the login form (blocked by Cloudflare), we use session
-// cookies copied directly from the browser. Set these in .env.
+// The sign-in form is slow and often behind a Cloudflare challenge, so we
+// only type the password when we have no working session cookies. After a
+// successful login the browser's cookies are saved to
+// {DATA_DIR}/sessions/{username}.json and restored on the next launch —
+// only for the same password: the file records a hash of the credentials
+// that created it.
+// The server's own account can also start from a cookie jar exported from a
+// real browser: LETTERBOXD_COOKIES=/path/to/cookies.json (or cookies.txt).
+//
+// Functions that need a session take an optional `credentials` object
+// ({ username, password }) so each configured user rates on their own
+// account. Without it they fall back to the server's account from .env.
+//
+// Browser contexts are keyed by username *and* password: a config token
+// naming someone else's account with the wrong password gets a context of
+// its own and has to log in, instead of borrowing their session.
+
+function resolveCredentials(credentials) {
+    if (credentials) return credentials;
+    return { username: process.env.LETTERBOXD_USERNAME, password: process.env.LETTERBOXD_PASSWORD || null };
+}
+
+function credentialHash(username, password) {
+    return crypto.createHmac('sha256', String(username).toLowerCase()).update(password || '').digest('hex');
+}
+
+// browser.js context key for these credentials: "{username}:{hash}"
+function sessionKey(credentials) {
+    const { username, password } = resolveCredentials(credentials);
+    return `${String(username).toLowerCase()}:${credentialHash(username, password).slice(0, 16)}`;
+}
+
+function hasSession(credentials) {
+    const { username, password } = resolveCredentials(credentials);
+    return !!(username && (password || loadCookies(username, password)));
+}
+
+function sessionFile(username) {
+    return path.join(dataDir(), 'sessions', `${String(username).toLowerCase()}.json`);
+}
 
-function hasSession() {
-    return !!(process.env.LETTERBOXD_USERNAME && process.env.LETTERBOXD_PASSWORD);
+// Cookies saved by a login with these credentials, else the
+// LETTERBOXD_COOKIES jar if they are the server's own account from .env.
+// null when there are none.
+function loadCookies(username, password) {
+    const saved = readSavedSession(username, password);
+    if (saved) return saved;
+    const isServerAccount = String(username).toLowerCase() === String(process.env.LETTERBOXD_USERNAME).toLowerCase() &&
+        (password || null) === (process.env.LETTERBOXD_PASSWORD || null);
+    if (isServerAccount && process.env.LETTERBOXD_COOKIES) return readCookieJar(process.env.LETTERBOXD_COOKIES);
+    return null;
 }
 
-// ── Simple in-memory cache ────────────────────────────────────────────────────
+// The saved { passwordHash, cookies } file's cookies when the hash matches.
+// Files from other credentials, and plain cookie arrays saved before the
+// hash was recorded, are ignored: the next login replaces them.
+function readSavedSession(username, password) {
+    const file = sessionFile(username);
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[session] Could not read cookies from ${file}:`, err.message);
+        return null;
+    }
+    if (saved?.passwordHash !== credentialHash(username, password)) return null;
+    return Array.isArray(saved.cookies) && saved.cookies.length ? saved.cookies : null;
+}
+
+function readCookieJar(file) {
+    try {
+        const cookies = parseCookieJar(fs.readFileSync(file, 'utf8'));
+        return cookies.length ? cookies : null;
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[session] Could not read cookies from ${file}:`, err.message);
+        return null;
+    }
+}
 
-const cache = new Map();
+// Accepts a JSON array (Puppeteer, or a browser extension export) or a
+// Netscape cookies.txt. Only letterboxd.com cookies are kept.
+function parseCookieJar(text) {
+    const trimmed = text.trim();
+    let cookies;
+    if (trimmed.startsWith('[')) {
+        cookies = JSON.parse(trimmed).map(c => ({
+            name: c.name,
+            value: c.value,
+            domain: c.domain,
+            path: c.path || '/',
+            expires: c.expires ?? c.expirationDate ?? -1,
+            httpOnly: !!c.httpOnly,
+            secure: !!c.secure,
+            ...(['Strict', 'Lax', 'None'].includes(c.sameSite) ? { sameSite: c.sameSite } : {}),
+        }));
+    } else {
+        // domain, include-subdomains, path, secure, expiry, name, value
+        cookies = trimmed.split('\n')
+            .filter(line => line && (!line.startsWith('#') || line.startsWith('#HttpOnly_')))
+            .map(line => {
+                const [domain, , cookiePath, secure, expires, name, value] = line.split('\t');
+                return {
+                    name,
+                    value: value?.trim() ?? '',
+                    domain: domain.replace(/^#HttpOnly_/, ''),
+                    path: cookiePath || '/',
+                    expires: parseInt(expires, 10) || -1,
+                    httpOnly: domain.startsWith('#HttpOnly_'),
+                    secure: secure === 'TRUE',
+                };
+            });
+    }
+    return cookies.filter(c => c.name && c.domain?.includes('letterboxd.com'));
+}
 
-function setCache(key, value, ttlMs) {
-    cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+function saveCookies(username, password, cookies) {
+    try {
+        const file = sessionFile(username);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const saved = { passwordHash: credentialHash(username, password), cookies };
+        fs.writeFileSync(file, JSON.stringify(saved), { mode: 0o600 });
+    } catch (err) {
+        console.error(`[session] Could not save cookies for ${username}:`, err.message);
+    }
 }
 
-function getCache(key) {
-    const entry = cache.get(key);
-    if (!entry) return null;
-    if (Date.now() > entry.expiresAt) { cache.delete(key); return null; }
-    return entry.value;
+// Deletes the account's saved cookies. With a password, only if they were
+// saved by that password, so a failed login with a wrong one can't log the
+// real owner out.
+function discardCookies(username, password) {
+    if (password !== undefined && !readSavedSession(username, password)) return;
+    fs.rmSync(sessionFile(username), { force: true });
 }
 
-// ── Shared request headers ────────────────────────────────────────────────────
+// ── Shared requests ───────────────────────────────────────────────────────────
 
 const BASE_HEADERS = {
     'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
@@ -37,92 +157,542 @@ const BASE_HEADERS = {
     'Accept-Language': 'en-US,en;q=0.5',
 };
 
-// ── Watchlist scraping ────────────────────────────────────────────────────────
+// GETs a Letterboxd page over plain HTTP, through the request scheduler.
+// `pageType` (watchlist, film, …) labels its latency and failures in /metrics.
+function scrape(pageType, url, options = {}) {
+    return schedule(`GET ${url}`, async () => {
+        const done = metrics.scrapeDuration.startTimer({ page: pageType });
+        try {
+            const res = await axios.get(url, { headers: BASE_HEADERS, timeout: 10000, ...options });
+            if (res.status === 200 && url.startsWith(BASE_URL)) recordPage(url, res.data);
+            return res;
+        } catch (err) {
+            metrics.scrapeErrors.inc({ page: pageType });
+            throw err;
+        } finally {
+            done();
+        }
+    });
+}
 
-async function fetchWatchlistPage(username, page = 1) {
-    const url = `${BASE_URL}/${username}/watchlist/page/${page}/`;
-    const res = await axios.get(url, { headers: BASE_HEADERS, timeout: 10000 });
+// page.goto for Letterboxd pages in the browser, through the scheduler
+async function gotoPage(page, url, options) {
+    const response = await schedule(null, () => page.goto(url, options));
+    if (process.env.LETTERBOXD_RECORD_DIR) recordPage(url, await page.content());
+    return response;
+}
+
+// ── Poster-grid scraping (watchlists, lists, watched films) ──────────────────
+
+async function fetchFilmGridPage(pageType, path, page = 1) {
+    const res = await scrape(pageType, `${BASE_URL}${path}page/${page}/`);
     const $ = cheerio.load(res.data);
 
     const films = [];
     // Letterboxd uses React components — film data lives on the parent div
     $('div.react-component[data-item-slug]').each((_, el) => {
-        const slug = $(el).attr('data-item-slug');
-        const title = $(el).attr('data-item-name')?.replace(/\s*\(\d{4}\)\s*$/, '').trim()
-            || $(el).find('img').attr('alt')
-            || slug;
-        const filmId = $(el).attr('data-film-id');
-        if (slug) films.push({ slug, title, filmId });
+        const film = parsePosterItem($, el);
+        // On /{username}/films/ each poster carries the owner's rating
+        const rating = parseRatingClass($(el).closest('li').find('span.rating[class*="rated-"]').attr('class'));
+        if (film) films.push({ ...film, rating });
     });
 
     const hasNext = $('a.next').length > 0;
     return { films, hasNext };
 }
 
-async function getWatchlist(username) {
-    const cacheKey = `watchlist:${username}`;
-    const cached = getCache(cacheKey);
-    if (cached) return cached;
+// One poster component → { slug, title, filmId, year }, or null without a slug
+function parsePosterItem($, el) {
+    const slug = $(el).attr('data-item-slug');
+    if (!slug) return null;
+    const itemName = $(el).attr('data-item-name');
+    const title = itemName?.replace(/\s*\(\d{4}\)\s*$/, '').trim()
+        || $(el).find('img').attr('alt')
+        || slug;
+    const filmId = $(el).attr('data-film-id');
+    const year = itemName?.match(/\((\d{4})\)\s*$/)?.[1] || null;
+    return { slug, title, filmId, year };
+}
 
+// "rating rated-8" → 4 (stars). Letterboxd stores ratings as 1–10.
+function parseRatingClass(className) {
+    const match = className?.match(/rated-(\d+)/);
+    return match ? parseInt(match[1], 10) / 2 : null;
+}
+
+// Fetches every page of a paged scrape in order. Pages are concatenated as
+// served, so ranked lists keep the owner's ordering. Throws if the first page
+// fails, so a cached copy isn't replaced by an empty one.
+async function getAllPages(label, fetchPage) {
     const allFilms = [];
+    for await (const films of iteratePages(label, fetchPage)) allFilms.push(...films);
+    return allFilms;
+}
+
+// getAllPages one page at a time, for callers that stream: yields each
+// page's films as soon as it's fetched. Same error handling, no caching.
+async function* iteratePages(label, fetchPage) {
     let page = 1;
     let hasNext = true;
 
     while (hasNext) {
+        let result;
         try {
-            const result = await fetchWatchlistPage(username, page);
-            allFilms.push(...result.films);
-            hasNext = result.hasNext;
-            page++;
-            if (hasNext) await new Promise(r => setTimeout(r, 300));
+            result = await fetchPage(page);
         } catch (err) {
-            console.error(`Error fetching watchlist page ${page}:`, err.message);
-            break;
+            if (page === 1) throw err;
+            console.error(`Error fetching ${label} page ${page}:`, err.message);
+            return;
         }
+        yield result.films;
+        hasNext = result.hasNext;
+        page++;
     }
+}
 
-    setCache(cacheKey, allFilms, 5 * 60 * 1000); // 5 minutes
-    return allFilms;
+// ── Watchlist scraping ────────────────────────────────────────────────────────
+
+async function fetchWatchlistPage(username, page = 1) {
+    return fetchFilmGridPage('watchlist', `/${username}/watchlist/`, page);
+}
+
+async function getWatchlist(username) {
+    const cacheKey = `watchlist:${username}`;
+    return cache.getOrRefresh(cacheKey, () => getAllPages(cacheKey, page => fetchWatchlistPage(username, page)));
 }
 
-// ── Film metadata (IMDB ID, poster, year) ────────────────────────────────────
+// Uncached, page by page (see iteratePages)
+function watchlistPages(username) {
+    return iteratePages(`watchlist:${username}`, page => fetchWatchlistPage(username, page));
+}
 
-async function getFilmMeta(slug) {
-    const cacheKey = `meta:${slug}`;
-    const cached = getCache(cacheKey);
-    if (cached) return cached;
+// ── List scraping ─────────────────────────────────────────────────────────────
+// Lists live at /{owner}/list/{slug}/ and use the same poster grid.
 
-    try {
-        const url = `${BASE_URL}/film/${slug}/`;
-        const res = await axios.get(url, { headers: BASE_HEADERS, timeout: 10000 });
-        const $ = cheerio.load(res.data);
-
-        let imdbId = null;
-        $('a[href*="imdb.com/title/"]').each((_, el) => {
-            const href = $(el).attr('href');
-            const match = href.match(/imdb\.com\/title\/(tt\d+)/);
-            if (match) { imdbId = match[1]; return false; }
-        });
+async function fetchListPage(owner, slug, page = 1) {
+    return fetchFilmGridPage('list', `/${owner}/list/${slug}/`, page);
+}
+
+async function getList(owner, slug) {
+    const cacheKey = `list:${owner}:${slug}`;
+    return cache.getOrRefresh(cacheKey, () => getAllPages(cacheKey, page => fetchListPage(owner, slug, page)));
+}
+
+// ── Browse pages (popular, top rated, genre, decade, year) ───────────────────
+// /films/ pages load their poster grid from /films/ajax/{filters}, e.g.
+//   /films/ajax/popular/this/week/genre/horror/
+//   /films/ajax/decade/1990s/by/rating/
+// These are endless, so pages are fetched and cached one at a time, only as
+// far as the catalog has been scrolled.
+
+const MAX_BROWSE_FILMS = 500;
+
+// { sort: 'week' | 'popular' | 'rating', genre, decade, year } → grid path
+function browsePath({ sort = 'popular', genre, decade, year } = {}) {
+    const filters = [
+        genre && `genre/${genre.toLowerCase().replace(/\s+/g, '-')}/`,
+        decade && `decade/${decade}/`,
+        year && `year/${year}/`,
+    ].filter(Boolean).join('');
+    if (sort === 'week') return `/films/ajax/popular/this/week/${filters}`;
+    if (sort === 'rating') return `/films/ajax/${filters}by/rating/`;
+    return `/films/ajax/popular/${filters}`;
+}
+
+// At least `count` films from the start of a browse grid (fewer at the end)
+async function getBrowseFilms(filters, count) {
+    const path = browsePath(filters);
+    const films = [];
+    for (let page = 1; films.length < Math.min(count, MAX_BROWSE_FILMS); page++) {
+        const cacheKey = `browse:${path}${page}`;
+        const result = await cache.getOrRefresh(cacheKey, () => fetchFilmGridPage('browse', path, page));
+        films.push(...result.films);
+        if (!result.hasNext) break;
+    }
+    return films;
+}
+
+// ── Watched films & diary ─────────────────────────────────────────────────────
+// /{username}/films/ lists everything marked watched (with the user's rating);
+// /{username}/films/diary/ has the logged viewings with their dates.
+
+async function fetchWatchedPage(username, page = 1) {
+    return fetchFilmGridPage('watched', `/${username}/films/`, page);
+}
 
-        const year = $('meta[property="og:title"]').attr('content')?.match(/\((\d{4})\)/)?.[1] || null;
-        const description = $('meta[property="og:description"]').attr('content') || null;
+async function fetchDiaryPage(username, page = 1) {
+    const url = `${BASE_URL}/${username}/films/diary/page/${page}/`;
+    const res = await scrape('diary', url);
+    const $ = cheerio.load(res.data);
+
+    const films = [];
+    $('tr.diary-entry-row').each((_, row) => {
+        const film = parsePosterItem($, $(row).find('[data-item-slug]').first());
+        // Day links look like /{username}/films/diary/for/2024/03/15/
+        const date = $(row).find('a[href*="/diary/for/"]').last().attr('href')
+            ?.match(/\/for\/(\d{4})\/(\d{2})\/(\d{2})\//);
+        const rating = parseRatingClass($(row).find('span.rating[class*="rated-"]').attr('class'));
+        if (film) {
+            films.push({
+                slug: film.slug,
+                title: film.title,
+                year: film.year,
+                watchedDate: date ? `${date[1]}-${date[2]}-${date[3]}` : null,
+                rating,
+            });
+        }
+    });
+
+    const hasNext = $('a.next').length > 0;
+    return { films, hasNext };
+}
+
+async function getDiary(username) {
+    const cacheKey = `diary:${username}`;
+    return cache.getOrRefresh(cacheKey, () => getAllPages(cacheKey, page => fetchDiaryPage(username, page)));
+}
+
+// Every watched film, with the user's rating and the most recent diary date
+// (null for films marked watched without a diary entry).
+// Uncached, page by page (see iteratePages). Rated films come from the
+// /films/rated/ grid, which only lists films with a rating.
+function ratingPages(username) {
+    return iteratePages(`ratings:${username}`, page => fetchFilmGridPage('ratings', `/${username}/films/rated/.5-5/`, page));
+}
+
+function diaryPages(username) {
+    return iteratePages(`diary:${username}`, page => fetchDiaryPage(username, page));
+}
+
+async function getWatched(username) {
+    return cache.getOrRefresh(`watched:${username}`, () => fetchWatched(username));
+}
+
+async function fetchWatched(username) {
+    const gridKey = `watchedgrid:${username}`;
+    const [films, diary] = await Promise.all([
+        cache.getOrRefresh(gridKey, () => getAllPages(gridKey, page => fetchWatchedPage(username, page))),
+        getDiary(username),
+    ]);
+
+    // Diary is newest first, so the first entry per film is the latest viewing
+    const lastWatched = new Map();
+    for (const entry of diary) {
+        if (!lastWatched.has(entry.slug)) lastWatched.set(entry.slug, entry.watchedDate);
+    }
+
+    return films.map(film => ({ ...film, watchedDate: lastWatched.get(film.slug) || null }));
+}
+
+// ── Friends' activity ─────────────────────────────────────────────────────────
+// What the people a user follows watched lately, from the first page of each
+// friend's public diary. Every friend's page is cached on its own, so friends
+// shared between users are only fetched once.
+
+const MAX_FRIENDS = 50;
+
+async function fetchFollowingPage(username, page = 1) {
+    const url = `${BASE_URL}/${username}/following/page/${page}/`;
+    const res = await scrape('following', url);
+    const $ = cheerio.load(res.data);
+
+    const films = []; // getAllPages calls them films; these are usernames
+    $('table.person-table a.name[href], .person-summary a.name[href]').each((_, el) => {
+        const friend = $(el).attr('href').match(/^\/([^/]+)\/$/)?.[1];
+        if (friend && !films.includes(friend)) films.push(friend);
+    });
+
+    const hasNext = $('a.next').length > 0;
+    return { films, hasNext };
+}
+
+async function getFollowing(username) {
+    const cacheKey = `following:${username}`;
+    return cache.getOrRefresh(cacheKey, () => getAllPages(cacheKey, page => fetchFollowingPage(username, page)));
+}
 
-        // og:image is a landscape/square crop — convert to portrait by swapping
-        // the crop dimensions in the URL to Letterboxd's portrait size (230x345).
-        // e.g. gosford-park-1200-1200-675-675-crop-000000.jpg
-        //   →  gosford-park-0-230-0-345-crop-000000.jpg
-        let poster = $('meta[property="og:image"]').attr('content') || null;
-        if (poster && poster.includes('a.ltrbxd.com/resized/')) {
-            poster = poster.replace(/-\d+-\d+-\d+-\d+-crop-([^.?]+)/, '-0-230-0-345-crop-$1');
+// [{ slug, title, year, lastDate, friends: [{ username, rating, watchedDate }] }],
+// most recently watched first
+async function getFriendsActivity(username) {
+    return cache.getOrRefresh(`friends:${username}`, () => fetchFriendsActivity(username));
+}
+
+async function fetchFriendsActivity(username) {
+    const following = (await getFollowing(username)).slice(0, MAX_FRIENDS);
+    const films = new Map();
+
+    for (const friend of following) {
+        const cacheKey = `activity:${friend}`;
+        let entries;
+        try {
+            entries = await cache.getOrRefresh(cacheKey, async () => (await fetchDiaryPage(friend, 1)).films);
+        } catch (err) {
+            console.error(`Error fetching activity for ${friend}:`, err.message);
+            continue;
         }
 
-        const meta = { imdbId, year, poster, description };
-        setCache(cacheKey, meta, 6 * 60 * 60 * 1000); // 6 hours
-        return meta;
+        for (const entry of entries) {
+            const film = films.get(entry.slug) || { slug: entry.slug, title: entry.title, year: entry.year, lastDate: null, friends: [] };
+            // A rewatch shows up twice; keep the friend's latest entry only
+            if (film.friends.some(f => f.username === friend)) continue;
+            film.friends.push({ username: friend, rating: entry.rating, watchedDate: entry.watchedDate });
+            if (entry.watchedDate && (!film.lastDate || entry.watchedDate > film.lastDate)) film.lastDate = entry.watchedDate;
+            films.set(entry.slug, film);
+        }
+    }
+
+    return [...films.values()].sort((a, b) => String(b.lastDate || '').localeCompare(String(a.lastDate || '')));
+}
+
+// ── Film metadata (IMDB ID, poster, year, credits) ───────────────────────────
+
+const EMPTY_META = {
+    imdbId: null, title: null, year: null, poster: null, description: null,
+    directors: [], cast: [], genres: [], runtime: null, averageRating: null, ratingCount: null,
+    related: [],
+};
+
+// Film pages embed schema.org JSON-LD (wrapped in CDATA comments) with the
+// credits, genres and aggregate rating.
+function parseJsonLd($) {
+    const raw = $('script[type="application/ld+json"]').first().html();
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw.replace(/\/\*\s*<!\[CDATA\[\s*\*\//, '').replace(/\/\*\s*\]\]>\s*\*\//, ''));
+    } catch {
+        return {};
+    }
+}
+
+// With a country code, also includes `availability` (see getAvailability)
+async function getFilmMeta(slug, country) {
+    let meta;
+    try {
+        meta = await cache.getOrRefresh(`meta:${slug}`, () => loadFilmMeta(slug));
     } catch (err) {
         console.error(`Error fetching meta for ${slug}:`, err.message);
-        return { imdbId: null, year: null, poster: null, description: null };
+        meta = { ...EMPTY_META };
+    }
+    if (!country) return meta;
+    return { ...meta, availability: await getAvailability(slug, country) };
+}
+
+// The cached meta, or null while it's fetched in the background
+function getCachedFilmMeta(slug) {
+    return cache.getOrWarm(`meta:${slug}`, () => loadFilmMeta(slug));
+}
+
+async function loadFilmMeta(slug) {
+    const meta = await fetchFilmMeta(slug);
+    // Every film page scraped also answers IMDb id → slug lookups
+    if (meta.imdbId) cache.set(`slug:${meta.imdbId}`, slug);
+    return meta;
+}
+
+async function fetchFilmMeta(slug) {
+    const url = `${BASE_URL}/film/${slug}/`;
+    const res = await scrape('film', url);
+    const $ = cheerio.load(res.data);
+
+    let imdbId = null;
+    $('a[href*="imdb.com/title/"]').each((_, el) => {
+        const href = $(el).attr('href');
+        const match = href.match(/imdb\.com\/title\/(tt\d+)/);
+        if (match) { imdbId = match[1]; return false; }
+    });
+
+    const year = $('meta[property="og:title"]').attr('content')?.match(/\((\d{4})\)/)?.[1] || null;
+    const description = $('meta[property="og:description"]').attr('content') || null;
+
+    const poster = portraitPoster($('meta[property="og:image"]').attr('content') || null);
+
+    const ld = parseJsonLd($);
+    const names = (people) => (Array.isArray(people) ? people : people ? [people] : []).map(p => p.name).filter(Boolean);
+    const title = ld.name || $('meta[property="og:title"]').attr('content')?.replace(/\s*\(\d{4}\)\s*$/, '') || null;
+    const runtime = parseInt($('p.text-footer').first().text().match(/(\d+)\s*min/)?.[1], 10) || null;
+    const averageRating = ld.aggregateRating?.ratingValue ?? null;
+    const ratingCount = ld.aggregateRating?.ratingCount ?? null;
+
+    return {
+        imdbId, title, year, poster, description,
+        directors: names(ld.director),
+        cast: names(ld.actors).slice(0, 10),
+        genres: Array.isArray(ld.genre) ? ld.genre : ld.genre ? [ld.genre] : [],
+        runtime, averageRating, ratingCount,
+        related: parseRelatedFilms($, slug),
+    };
+}
+
+// og:image is a landscape/square crop — convert to portrait by swapping
+// the crop dimensions in the URL to Letterboxd's portrait size (230x345).
+// e.g. gosford-park-1200-1200-675-675-crop-000000.jpg
+//   →  gosford-park-0-230-0-345-crop-000000.jpg
+function portraitPoster(url) {
+    if (!url || !url.includes('a.ltrbxd.com/resized/')) return url;
+    return url.replace(/-\d+-\d+-\d+-\d+-crop-([^.?]+)/, '-0-230-0-345-crop-$1');
+}
+
+// The "Related films" and "Similar films" poster rows near the bottom of a
+// film page: [{ slug, title, filmId, year }], deduped, in page order.
+function parseRelatedFilms($, slug) {
+    const seen = new Set([slug]);
+    const related = [];
+    $('section.related-films, section#related, section:has(h2:contains("Similar")), section:has(h2:contains("Related"))')
+        .find('[data-item-slug]')
+        .each((_, el) => {
+            const film = parsePosterItem($, el);
+            if (!film || seen.has(film.slug)) return;
+            seen.add(film.slug);
+            related.push(film);
+        });
+    return related;
+}
+
+// ── Where to watch ────────────────────────────────────────────────────────────
+// The film page's "Where to watch" panel is loaded from a /csi/ fragment,
+// per country. Cached per country and film, like the other film fragments.
+
+// [{ service, url, types: ['stream' | 'rent' | 'buy', ...] }] for a
+// two-letter country code
+async function getAvailability(slug, country) {
+    try {
+        return await cache.getOrRefresh(`avail:${country}:${slug}`, () => fetchAvailability(slug, country));
+    } catch (err) {
+        console.error(`Error fetching availability for ${slug} (${country}):`, err.message);
+        return [];
+    }
+}
+
+// The cached availability, or null while it's fetched in the background
+function getCachedAvailability(slug, country) {
+    return cache.getOrWarm(`avail:${country}:${slug}`, () => fetchAvailability(slug, country));
+}
+
+async function fetchAvailability(slug, country) {
+    const url = `${BASE_URL}/csi/film/${slug}/availability/?country=${encodeURIComponent(country)}`;
+    const res = await scrape('availability', url);
+    const $ = cheerio.load(res.data);
+
+    const availability = [];
+    // <p class="service -netflix"><a class="label" href="…"><span class="name">Netflix</span></a>
+    //   <span class="options"><a class="link -stream">Stream</a>…</span></p>
+    $('.services .service').each((_, el) => {
+        const service = $(el).find('.name').first().text().trim() || $(el).find('a.label').text().trim();
+        const url = $(el).find('a.label').attr('href') || $(el).find('.options a[href]').first().attr('href');
+        const types = $(el).find('.options a').map((_, a) => $(a).text().trim().toLowerCase()).get()
+            .filter(type => ['stream', 'rent', 'buy'].includes(type));
+        if (service && url) availability.push({ service, url, types: types.length ? types : ['stream'] });
+    });
+
+    return availability;
+}
+
+// ── Community ratings & reviews ───────────────────────────────────────────────
+// Both are loaded into the film page by XHR, from separate /csi/ and review
+// pages, so they're fetched and cached on their own.
+
+// Ten bars, ½★ to 5★: [{ stars, count, percent }]
+async function getRatingHistogram(slug) {
+    try {
+        return await cache.getOrRefresh(`histogram:${slug}`, () => fetchRatingHistogram(slug));
+    } catch (err) {
+        console.error(`Error fetching histogram for ${slug}:`, err.message);
+        return [];
+    }
+}
+
+async function fetchRatingHistogram(slug) {
+    const url = `${BASE_URL}/csi/film/${slug}/rating-histogram/`;
+    const res = await scrape('histogram', url);
+    const $ = cheerio.load(res.data);
+
+    const histogram = [];
+    $('li.rating-histogram-bar').each((i, el) => {
+        // Bar tooltips read like "1,234 ★★★½ ratings (12%)"
+        const label = $(el).find('a').attr('data-original-title') || $(el).find('a').attr('title') || $(el).text();
+        const count = parseInt(label.match(/^\s*([\d,]+)/)?.[1]?.replace(/,/g, ''), 10) || 0;
+        const percent = parseInt(label.match(/\((\d+)%\)/)?.[1], 10) || 0;
+        histogram.push({ stars: (i + 1) / 2, count, percent });
+    });
+
+    return histogram;
+}
+
+// Most popular reviews, without the ones marked as spoilers:
+// [{ author, rating, text }]
+async function getPopularReviews(slug, limit = 3) {
+    try {
+        const reviews = await cache.getOrRefresh(`reviews:${slug}`, () => fetchPopularReviews(slug));
+        return reviews.slice(0, limit);
+    } catch (err) {
+        console.error(`Error fetching reviews for ${slug}:`, err.message);
+        return [];
+    }
+}
+
+async function fetchPopularReviews(slug) {
+    const url = `${BASE_URL}/film/${slug}/reviews/by/activity/`;
+    const res = await scrape('reviews', url);
+    const $ = cheerio.load(res.data);
+
+    const reviews = [];
+    $('li.film-detail, article.production-viewing').each((_, el) => {
+        if ($(el).find('.contains-spoilers').length) return;
+        const text = $(el).find('.body-text').first().text().replace(/\s+/g, ' ').trim();
+        if (!text) return;
+        reviews.push({
+            author: $(el).find('.displayname, strong.name').first().text().trim() || null,
+            rating: parseRatingClass($(el).find('span.rating[class*="rated-"]').attr('class')),
+            text,
+        });
+    });
+
+    return reviews;
+}
+
+// ── Recommendations ───────────────────────────────────────────────────────────
+// "Because you rated…": the related films of everything the user rated 4★ or
+// more, ranked by how many of those films point at them. Built from film
+// pages, which are cached for a day and shared with the other catalogs; the
+// result itself is cached for hours. Only the top MAX_SEEDS ratings are
+// used, and the request scheduler paces the fetches of uncached film pages.
+
+const RECOMMENDATION_MIN_RATING = 4;
+const MAX_SEEDS = 40;
+const MAX_RECOMMENDATIONS = 200;
+
+// [{ slug, title, filmId, year, count, because: [seed titles] }], best first
+async function getRecommendations(username) {
+    return cache.getOrRefresh(`recs:${username}`, () => fetchRecommendations(username));
+}
+
+async function fetchRecommendations(username) {
+    const [watched, watchlist] = await Promise.all([getWatched(username), getWatchlist(username)]);
+
+    // Highest rated first, most recently watched breaking ties
+    const seeds = watched
+        .filter(f => f.rating >= RECOMMENDATION_MIN_RATING)
+        .sort((a, b) => b.rating - a.rating || String(b.watchedDate || '').localeCompare(String(a.watchedDate || '')))
+        .slice(0, MAX_SEEDS);
+
+    const exclude = new Set([...watched, ...watchlist].map(f => f.slug));
+    const candidates = new Map(); // slug → candidate, in first-seen order
+
+    for (const seed of seeds) {
+        const meta = await getFilmMeta(seed.slug);
+        for (const film of meta.related || []) {
+            if (exclude.has(film.slug)) continue;
+            const candidate = candidates.get(film.slug) || { ...film, count: 0, because: [] };
+            candidate.count++;
+            candidate.because.push(seed.title);
+            candidates.set(film.slug, candidate);
+        }
     }
+
+    // Array.prototype.sort is stable, so equal counts keep first-seen order
+    const ranked = [...candidates.values()].sort((a, b) => b.count - a.count).slice(0, MAX_RECOMMENDATIONS);
+    console.log(`[recommendations] ${username}: ${ranked.length} films from ${seeds.length} seeds`);
+    return ranked;
 }
 
 // ── User's existing rating (via logged-in Puppeteer session) ─────────────────
@@ -130,55 +700,41 @@ async function getFilmMeta(slug) {
 // The user's personal rating is shown on /film/{slug}/ only when logged in.
 // So we reuse the existing Puppeteer session (already logged in) to scrape it.
 
-async function getUserRating(username, slug) {
+async function getUserRating(username, slug, credentials) {
     const cacheKey = `userrating:${username}:${slug}`;
-    const cached = getCache(cacheKey);
-    if (cached !== null) return cached;
+    // A cached 0 means "not rated", so the page isn't fetched again
+    const cached = cache.get(cacheKey);
+    if (cached !== null) return cached || null;
 
     // If no session configured, skip silently
-    if (!hasSession()) {
-        setCache(cacheKey, null, 5 * 60 * 1000);
+    if (!hasSession(credentials)) {
+        cache.set(cacheKey, 0);
         return null;
     }
 
-    let page;
     try {
-        const b = await ensureBrowserLoggedIn();
-        page = await b.newPage();
-
-        // Block images/styles/fonts to save memory
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
-                req.abort();
-            } else {
-                req.continue();
-            }
-        });
-
-        const filmUrl = `${BASE_URL}/film/${slug}/`;
-        await page.goto(filmUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-
-        // The user's personal rating lives inside the #film-rating-widget,
-        // specifically on the div.rateit element's data-rateit-value attribute
-        // (1–10 scale, divide by 2 for stars) OR as a span.rating.rated-N inside
-        // the aside#sidebar .your-rating section.
-        const ratingClass = await page.evaluate(() => {
-            // Most reliable: the rateit widget stores the current value in data-rateit-value
-            const rateit = document.querySelector('#film-rating-widget div.rateit[data-rateit-value]');
-            if (rateit) {
-                const val = rateit.getAttribute('data-rateit-value');
-                if (val && val !== '0') return `rateit:${val}`;
-            }
-            // Fallback: span.rating inside the user's own rating section (not community)
-            const userSection = document.querySelector('.your-rating span.rating[class*="rated-"], #film-rating-widget span.rating[class*="rated-"]');
-            return userSection ? userSection.className : null;
+        await ensureBrowserLoggedIn(credentials);
+        const ratingClass = await withPage(sessionKey(credentials), async (page) => {
+            await gotoPage(page, `${BASE_URL}/film/${slug}/`, { waitUntil: 'domcontentloaded', timeout: 20000 });
+
+            // The user's personal rating lives inside the #film-rating-widget,
+            // specifically on the div.rateit element's data-rateit-value attribute
+            // (1–10 scale, divide by 2 for stars) OR as a span.rating.rated-N inside
+            // the aside#sidebar .your-rating section.
+            return page.evaluate(() => {
+                // Most reliable: the rateit widget stores the current value in data-rateit-value
+                const rateit = document.querySelector('#film-rating-widget div.rateit[data-rateit-value]');
+                if (rateit) {
+                    const val = rateit.getAttribute('data-rateit-value');
+                    if (val && val !== '0') return `rateit:${val}`;
+                }
+                // Fallback: span.rating inside the user's own rating section (not community)
+                const userSection = document.querySelector('.your-rating span.rating[class*="rated-"], #film-rating-widget span.rating[class*="rated-"]');
+                return userSection ? userSection.className : null;
+            });
         });
-
-        await page.close();
-
         if (!ratingClass) {
-            setCache(cacheKey, null, 5 * 60 * 1000);
+            cache.set(cacheKey, 0);
             return null;
         }
 
@@ -186,18 +742,16 @@ async function getUserRating(username, slug) {
         if (ratingClass.startsWith('rateit:')) {
             // data-rateit-value is on a 1–10 scale
             const val = parseInt(ratingClass.slice(7), 10);
-            if (!val) { setCache(cacheKey, null, 5 * 60 * 1000); return null; }
+            if (!val) { cache.set(cacheKey, 0); return null; }
             stars = val / 2;
         } else {
-            const match = ratingClass.match(/rated-(\d+)/);
-            if (!match) { setCache(cacheKey, null, 5 * 60 * 1000); return null; }
-            stars = parseInt(match[1], 10) / 2; // e.g. rated-8 → 4 stars
+            stars = parseRatingClass(ratingClass); // e.g. rated-8 → 4 stars
+            if (!stars) { cache.set(cacheKey, 0); return null; }
         }
-        setCache(cacheKey, stars, 5 * 60 * 1000);
+        cache.set(cacheKey, stars);
         console.log(`[getUserRating] ${username}/${slug}: ${stars} stars`);
         return stars;
     } catch (err) {
-        if (page) await page.close().catch(() => {});
         console.error(`[getUserRating] ${username}/${slug}:`, err.message);
         return null;
     }
@@ -205,7 +759,8 @@ async function getUserRating(username, slug) {
 
 // ── Rating (via Puppeteer) ────────────────────────────────────────────────────
 // We use a real headless browser to bypass Cloudflare's bot protection.
-// The browser is launched once and reused across rating calls.
+// The browser itself, its page pool and per-account contexts live in
+// browser.js; this section only deals with logging those contexts in.
 
 // Letterboxd stores ratings as 1–10 internally (half-star increments)
 const RATING_MAP = {
@@ -213,55 +768,48 @@ const RATING_MAP = {
     '3': 6, '3.5': 7, '4': 8, '4.5': 9, '5': 10,
 };
 
-let browser = null;
-let browserLoggedIn = false;
-
-async function getBrowser() {
-    if (browser && browser.connected) return browser;
-    console.log('[puppeteer] Launching browser...');
-    browser = await puppeteer.launch({
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--disable-extensions',
-            '--disable-background-networking',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-breakpad',
-            '--disable-component-extensions-with-background-pages',
-            '--disable-features=TranslateUI,BlinkGenPropertyTrees',
-            '--disable-ipc-flooding-protection',
-            '--disable-renderer-backgrounding',
-            '--disable-sync',
-            '--metrics-recording-only',
-            '--mute-audio',
-            '--no-first-run',
-            '--safebrowsing-disable-auto-update',
-            '--js-flags=--max-old-space-size=128',
-        ],
-    });
-    browserLoggedIn = false;
-    console.log('[puppeteer] Browser ready');
-    return browser;
-}
+// Makes sure the account's browser context is logged in. The context entry
+// from browser.js carries { loggedIn, triedCookies, loggingIn } for us.
+// Call it before withPage, not inside: a password login needs a page slot
+// of its own.
+async function ensureBrowserLoggedIn(credentials) {
+    const { username, password } = resolveCredentials(credentials);
+    if (!username || !hasSession(credentials)) {
+        throw new Error('LETTERBOXD_USERNAME and LETTERBOXD_PASSWORD (or LETTERBOXD_COOKIES) required in .env for rating');
+    }
 
-async function ensureBrowserLoggedIn() {
-    const b = await getBrowser();
-    if (browserLoggedIn) return b;
+    const key = sessionKey(credentials);
+    const session = await getContext(key);
+    if (session.loggedIn) return;
+    // Concurrent callers share one login
+    if (!session.loggingIn) {
+        session.loggingIn = logIn(session, key, username, password).finally(() => { session.loggingIn = null; });
+    }
+    return session.loggingIn;
+}
 
-    const username = process.env.LETTERBOXD_USERNAME;
-    const password = process.env.LETTERBOXD_PASSWORD;
-    if (!username || !password) {
-        throw new Error('LETTERBOXD_USERNAME and LETTERBOXD_PASSWORD required in .env for rating');
+async function logIn(session, key, username, password) {
+    // Restored cookies are trusted until a 403 or a sign-in redirect says
+    // otherwise (see markLoggedOut); then we fall through to a password login.
+    if (!session.triedCookies) {
+        session.triedCookies = true;
+        const cookies = loadCookies(username, password);
+        if (cookies) {
+            await session.context.setCookie(...cookies);
+            session.loggedIn = true;
+            recordLogin(username, 'cookies');
+            console.log(`[puppeteer] Restored ${cookies.length} saved cookies for ${username}`);
+            return;
+        }
+    }
+    if (!password) {
+        throw new Error(`Saved session for ${username} is no longer valid and no password is set — sign in again`);
     }
 
-    const page = await b.newPage();
-    try {
-        console.log('[puppeteer] Logging in to Letterboxd...');
-        await page.goto(`${BASE_URL}/sign-in/`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    // The sign-in page needs its scripts and styles, so nothing is blocked
+    await withPage(key, async (page) => {
+        console.log(`[puppeteer] Logging in to Letterboxd as ${username}...`);
+        await gotoPage(page, `${BASE_URL}/sign-in/`, { waitUntil: 'domcontentloaded', timeout: 30000 });
 
         // Wait for the form to be present (also handles Cloudflare challenge delay)
         await page.waitForSelector('input[name="username"]', { timeout: 45000 });
@@ -278,162 +826,379 @@ async function ensureBrowserLoggedIn() {
         console.log('[puppeteer] Post-login URL:', url);
 
         if (url.includes('/sign-in/')) {
-            throw new Error('Login failed — still on sign-in page. Check credentials in .env.');
+            const err = new Error('Login failed — still on sign-in page. Check credentials in .env.');
+            err.code = 'LOGIN_REJECTED';
+            throw err;
         }
+    }, { blockResources: false });
+
+    session.loggedIn = true;
+    recordLogin(username, 'password');
+    console.log('[puppeteer] Login successful');
+    saveCookies(username, password, await session.context.cookies());
+}
 
-        browserLoggedIn = true;
-        console.log('[puppeteer] Login successful');
-    } finally {
-        await page.close();
+// Whether Letterboxd has accepted these credentials: a session saved by a
+// password login with them, a context they logged in, or else a fresh login.
+// For endpoints that take the account's password as proof of ownership,
+// since a config token holds whatever password its maker typed. Resolves to
+// false when Letterboxd turns the login down; throws when it couldn't be
+// asked (no browser, Letterboxd unreachable, …).
+async function verifyCredentials(credentials) {
+    const { username, password } = resolveCredentials(credentials);
+    if (readSavedSession(username, password) || peekContext(sessionKey(credentials))?.loggedIn) return true;
+    try {
+        await ensureBrowserLoggedIn(credentials);
+        return true;
+    } catch (err) {
+        if (err.code !== 'LOGIN_REJECTED') throw err;
+        console.error(`[session] Letterboxd rejected the login for ${username}`);
+        return false;
     }
+}
+
+// For /ready and the CLI's login-check: logs the account's browser context
+// in if needed, then loads a page only a signed-in account can see. Restored
+// cookies count as logged in without a request, so this is where expired
+// ones show up: a redirect to /sign-in/ marks the session logged out.
+// Resolves to { username, loggedIn }; throws when it can't check.
+async function checkSession(credentials) {
+    const { username } = resolveCredentials(credentials);
+    await ensureBrowserLoggedIn(credentials);
+    const loggedIn = await withPage(sessionKey(credentials), async (page) => {
+        await gotoPage(page, `${BASE_URL}/settings/`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        return !new URL(page.url()).pathname.startsWith('/sign-in');
+    });
+    if (!loggedIn) markLoggedOut(credentials);
+    return { username, loggedIn };
+}
 
-    return b;
+// The session's cookies stopped working: forget them so the next call logs
+// in with the password.
+function markLoggedOut(credentials) {
+    const session = peekContext(sessionKey(credentials));
+    if (session) {
+        session.loggedIn = false;
+        session.triedCookies = true;
+    }
+    const { username, password } = resolveCredentials(credentials);
+    discardCookies(username, password || null);
 }
 
-async function rateFilm(slug, starRating) {
-    const ratingValue = RATING_MAP[String(starRating)];
-    if (!ratingValue) {
-        return { success: false, error: `Invalid rating value: ${starRating}` };
+// Drops the account's sessions (one per password tried), saved cookies
+// included, so the next action starts over: from LETTERBOXD_COOKIES for the
+// server's account, otherwise with the password.
+function forceRelogin(username) {
+    for (const session of peekContexts(`${String(username).toLowerCase()}:`)) {
+        session.loggedIn = false;
+        session.triedCookies = false;
     }
+    discardCookies(username);
+    console.log(`[puppeteer] Forced re-login for ${username}`);
+}
 
-    let page;
+// Last successful login per account since startup: username → { at, method }
+const logins = new Map();
+
+function recordLogin(username, method) {
+    logins.set(String(username).toLowerCase(), { at: Date.now(), method });
+}
+
+// [{ username, loggedIn, lastLoginAt, lastLoginMethod }] for every account
+// that has logged in since startup
+function sessionStatus() {
+    return [...logins].map(([username, login]) => ({
+        username,
+        loggedIn: peekContexts(`${username}:`).some(session => session.loggedIn),
+        lastLoginAt: login.at,
+        lastLoginMethod: login.method,
+    }));
+}
+
+// ── Film page actions (rating, diary, watchlist, like) ───────────────────────
+// Every write goes through the film page in the account's logged-in context:
+// it carries the CSRF token, the film id and the rate endpoint we post to.
+//
+// Failures are { success: false, error, retryable }. retryable is false when
+// trying again can't help (bad input, Letterboxd rejected the request).
+
+// Opens /film/{slug}/, waits out a Cloudflare challenge, reads the widget
+// data and hands it to `action(page, widget)`. Returns `action`'s result, or
+// { success: false, error } — browser and session failures are handled here.
+async function withFilmPage(slug, credentials, action) {
     try {
-        const b = await ensureBrowserLoggedIn();
-        page = await b.newPage();
-
-        // Block images/styles/fonts to reduce memory usage on Railway's 512MB container
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
-                req.abort();
-            } else {
-                req.continue();
+        await ensureBrowserLoggedIn(credentials);
+        return await withPage(sessionKey(credentials), async (page) => {
+            const filmUrl = `${BASE_URL}/film/${slug}/`;
+            console.log(`[puppeteer] Navigating to ${filmUrl}`);
+            await gotoPage(page, filmUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            if (page.url().includes('/sign-in/')) {
+                throw new Error('Redirected to sign-in — session expired');
             }
-        });
 
-        const filmUrl = `${BASE_URL}/film/${slug}/`;
-        console.log(`[puppeteer] Navigating to ${filmUrl}`);
-        await page.goto(filmUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            // Check if Cloudflare served a challenge page instead of the real page.
+            // Check both title and body — CF challenge titles vary by region/type.
+            const isChallenge = await page.evaluate(() => {
+                const title = document.title || '';
+                const hasCFWidget = !!document.querySelector('#cf-wrapper, #challenge-form, .cf-browser-verification');
+                return title.includes('Just a moment') || title.includes('Attention Required') || hasCFWidget;
+            });
+            if (isChallenge) {
+                console.log(`[puppeteer] Cloudflare challenge detected, waiting 10s...`);
+                metrics.cloudflareChallenges.inc();
+                reportChallenge();
+                await new Promise(r => setTimeout(r, 10000));
+                await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => {});
+            }
+
+            // Wait for the rateit widget to render and grab its data attributes
+            await page.waitForSelector('div.rateit[data-rate-action]', { timeout: 15000 });
+
+            const widgetData = parseRatingWidget(await page.content());
 
-        // Check if Cloudflare served a challenge page instead of the real page.
-        // Check both title and body — CF challenge titles vary by region/type.
-        const isChallenge = await page.evaluate(() => {
-            const title = document.title || '';
-            const hasCFWidget = !!document.querySelector('#cf-wrapper, #challenge-form, .cf-browser-verification');
-            return title.includes('Just a moment') || title.includes('Attention Required') || hasCFWidget;
+            console.log(`[puppeteer] rateAction=${widgetData.rateAction} csrf=${widgetData.csrf?.slice(0, 8)}...`);
+
+            if (!widgetData.rateAction) {
+                return { success: false, error: 'Could not find rating widget — may not be logged in', retryable: true };
+            }
+
+            return await action(page, widgetData);
         });
-        if (isChallenge) {
-            console.log(`[puppeteer] Cloudflare challenge detected, waiting 10s...`);
-            await new Promise(r => setTimeout(r, 10000));
-            await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => {});
+    } catch (err) {
+        const msg = err.message || '';
+        if (msg.includes('sign-in') || msg.includes('Login failed')) {
+            // Genuinely logged out — re-login but keep browser
+            markLoggedOut(credentials);
         }
+        // A dead browser has already been closed by withPage and is relaunched
+        // on the next request. Navigation timeout, selector timeout, Cloudflare
+        // page, etc: the browser is still alive and the session cookies are
+        // still valid, so loggedIn is left alone — no unnecessary re-login.
+
+        return { success: false, error: err.message, retryable: true };
+    }
+}
 
-        // Wait for the rateit widget to render and grab its data attributes
-        await page.waitForSelector('div.rateit[data-rate-action]', { timeout: 15000 });
-
-        const widgetData = await page.evaluate(() => {
-            const widget = document.querySelector('div.rateit[data-rate-action]');
-            // CSRF is available in multiple places; try all
-            const csrf = document.querySelector('input[name="__csrf"]')?.value
-                || document.querySelector('meta[name="csrf-token"]')?.content
-                || document.body.getAttribute('data-csrf');
-            return {
-                rateAction: widget?.getAttribute('data-rate-action'),
-                csrf,
-            };
+// The rating widget's data from a logged-in film page's HTML:
+// { rateAction, ratingValue, filmId, likeUid, liked, csrf }
+function parseRatingWidget(html) {
+    const $ = cheerio.load(html);
+    const widget = $('div.rateit[data-rate-action]').first();
+    const likeable = $('[data-likeable-uid]').first();
+    return {
+        rateAction: widget.attr('data-rate-action') || null,
+        // Current rating on the 1–10 scale, 0 when unrated
+        ratingValue: parseInt(widget.attr('data-rateit-value') || '0', 10) || 0,
+        filmId: $('[data-film-id]').first().attr('data-film-id') || null,
+        // Like button, e.g. data-likeable-uid="film:51568", with a .liked state class
+        likeUid: likeable.attr('data-likeable-uid') || null,
+        liked: $('[data-likeable-uid].liked, .like-link-target .liked').length > 0,
+        // CSRF is available in multiple places; try all
+        csrf: $('input[name="__csrf"]').first().attr('value')
+            || $('meta[name="csrf-token"]').attr('content')
+            || $('body').attr('data-csrf')
+            || null,
+    };
+}
+
+// POSTs a form from inside the page, so the request carries the session
+// cookies and passes Cloudflare like a real click would.
+async function postForm(page, path, fields) {
+    return schedule(null, () => page.evaluate(async (url, fields) => {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(fields),
         });
+        return { status: res.status, body: await res.text() };
+    }, `${BASE_URL}${path}`, fields));
+}
 
-        console.log(`[puppeteer] rateAction=${widgetData.rateAction} csrf=${widgetData.csrf?.slice(0, 8)}...`);
+// Letterboxd's action endpoints answer { result: true } on success.
+// A 403 means the session cookies are no longer valid; 429 and 5xx are
+// temporary. Any other answer is Letterboxd saying no.
+function actionResult(result, credentials) {
+    if (result.status === 200) {
+        let parsed;
+        try { parsed = JSON.parse(result.body); } catch {}
+        if (parsed?.result === true) return { success: true };
+        return { success: false, error: `Unexpected response: ${result.body.slice(0, 100)}`, retryable: false };
+    }
+    if (result.status === 403) markLoggedOut(credentials);
+    const retryable = result.status === 403 || result.status === 429 || result.status >= 500;
+    return { success: false, error: `HTTP ${result.status}: ${result.body.slice(0, 100)}`, retryable };
+}
 
-        if (!widgetData.rateAction) {
-            return { success: false, error: 'Could not find rating widget — may not be logged in' };
-        }
+// A star rating of 0 removes the existing rating.
+async function rateFilm(slug, starRating, credentials) {
+    const ratingValue = String(starRating) === '0' ? 0 : RATING_MAP[String(starRating)];
+    if (ratingValue === undefined) {
+        return { success: false, error: `Invalid rating value: ${starRating}`, retryable: false };
+    }
 
+    const { username } = resolveCredentials(credentials);
+    const outcome = await withFilmPage(slug, credentials, async (page, widget) => {
         // POST directly to the rate endpoint discovered from the widget
-        const result = await page.evaluate(async (rateAction, csrf, ratingValue, baseUrl) => {
-            const res = await fetch(`${baseUrl}${rateAction}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                body: new URLSearchParams({ rating: ratingValue, __csrf: csrf }),
-            });
-            return { status: res.status, body: await res.text() };
-        }, widgetData.rateAction, widgetData.csrf, ratingValue, BASE_URL);
-
+        const result = await postForm(page, widget.rateAction, { rating: ratingValue, __csrf: widget.csrf });
         console.log(`[puppeteer] rating response: ${result.status} ${result.body.slice(0, 150)}`);
-        await page.close();
-
-        if (result.status === 200) {
-            let parsed;
-            try { parsed = JSON.parse(result.body); } catch {}
-            if (parsed?.result === true) {
-                cache.delete(`rating:${slug}`);
-                cache.delete(`userrating:${process.env.LETTERBOXD_USERNAME}:${slug}`);
-                return { success: true };
-            } else {
-                return { success: false, error: `Unexpected response: ${result.body.slice(0, 100)}` };
-            }
-        } else {
-            if (result.status === 403) browserLoggedIn = false;
-            return { success: false, error: `HTTP ${result.status}: ${result.body.slice(0, 100)}` };
-        }
-    } catch (err) {
-        if (page) await page.close().catch(() => {});
-        const msg = err.message || '';
 
-        if (msg.includes('DOM.describeNode') || msg.includes('Protocol error') ||
-            msg.includes('Target closed') || msg.includes('Session closed')) {
-            // Browser process is hung or dead — must restart entirely
-            console.error('[puppeteer] Browser unresponsive, will restart on next request');
-            try { if (browser) await browser.close(); } catch {}
-            browser = null;
-            browserLoggedIn = false;
-        } else if (msg.includes('sign-in') || msg.includes('Login failed')) {
-            // Genuinely logged out — re-login but keep browser
-            browserLoggedIn = false;
+        const outcome = actionResult(result, credentials);
+        if (outcome.success) {
+            // 0 stars means "not rated" to readers of this cache entry
+            cache.set(`userrating:${username}:${slug}`, ratingValue / 2);
+            // Rating a film also marks it watched, and the lists show ratings
+            forgetWatched(username);
         }
-        // Navigation timeout, selector timeout, Cloudflare page, etc:
-        // the browser is still alive and the session cookies are still valid.
-        // Do NOT reset browserLoggedIn — skips unnecessary re-login on next request.
+        return outcome;
+    });
+    metrics.ratings.inc({ result: outcome.success ? 'success' : 'failure' });
+    return outcome;
+}
 
-        return { success: false, error: err.message };
+// Drops the cached lists a rating or a diary entry changes
+function forgetWatched(username) {
+    cache.del(`diary:${username}`);
+    cache.del(`watched:${username}`);
+    cache.del(`watchedgrid:${username}`);
+}
+
+// Creates a diary entry. `entry` is { date: 'YYYY-MM-DD', rewatch, withRating,
+// stars, review, spoilers }: withRating attaches the film's current rating,
+// stars (½–5) sets a new one instead. review is the text of a review,
+// spoilers marks it as containing them.
+async function logDiaryEntry(slug, entry, credentials) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '')) {
+        return { success: false, error: `Invalid diary date: ${entry.date}`, retryable: false };
     }
+    const newRating = entry.stars ? RATING_MAP[String(entry.stars)] : null;
+    if (newRating === undefined) {
+        return { success: false, error: `Invalid rating value: ${entry.stars}`, retryable: false };
+    }
+
+    const { username } = resolveCredentials(credentials);
+    return withFilmPage(slug, credentials, async (page, widget) => {
+        if (!widget.filmId) return { success: false, error: 'Could not find film id on page', retryable: false };
+
+        const rating = newRating || (entry.withRating ? widget.ratingValue : 0);
+        const result = await postForm(page, '/s/save-diary-entry', {
+            __csrf: widget.csrf,
+            json: 'true',
+            filmId: widget.filmId,
+            specifiedDate: 'true',
+            viewingDateStr: entry.date,
+            rewatch: entry.rewatch ? 'true' : 'false',
+            rating,
+            review: entry.review || '',
+            tags: '',
+            containsSpoilers: entry.spoilers ? 'true' : 'false',
+        });
+        console.log(`[puppeteer] diary response: ${result.status} ${result.body.slice(0, 150)}`);
+
+        const outcome = actionResult(result, credentials);
+        if (outcome.success) {
+            forgetWatched(username);
+            if (newRating) cache.set(`userrating:${username}:${slug}`, newRating / 2);
+        }
+        return outcome;
+    });
+}
+
+// Adds the film to (add = true) or removes it from the account's watchlist.
+async function setWatchlisted(slug, add, credentials) {
+    const { username } = resolveCredentials(credentials);
+    return withFilmPage(slug, credentials, async (page, widget) => {
+        // The watchlist button carries its endpoint like the rating widget does
+        const action = await page.evaluate((add) => {
+            const el = document.querySelector(`[data-action*="${add ? 'add-to-watchlist' : 'remove-from-watchlist'}"]`);
+            return el?.getAttribute('data-action') || null;
+        }, add) || `/film/${slug}/${add ? 'add-to-watchlist' : 'remove-from-watchlist'}/`;
+
+        const result = await postForm(page, action, { __csrf: widget.csrf });
+        console.log(`[puppeteer] watchlist response: ${result.status} ${result.body.slice(0, 150)}`);
+
+        const outcome = actionResult(result, credentials);
+        if (outcome.success) cache.del(`watchlist:${username}`);
+        return outcome;
+    });
+}
+
+// Likes (liked = true) or unlikes the film. Sets the state rather than
+// flipping it, so a retried job can't undo one that already went through.
+async function setLiked(slug, liked, credentials) {
+    return withFilmPage(slug, credentials, async (page, widget) => {
+        if (!widget.likeUid) return { success: false, error: 'Could not find like button on page', retryable: false };
+        if (widget.liked === liked) return { success: true };
+
+        const result = await postForm(page, `/s/${widget.likeUid}/like/`, { liked: String(liked), __csrf: widget.csrf });
+        console.log(`[puppeteer] like response: ${result.status} ${result.body.slice(0, 150)}`);
+        return actionResult(result, credentials);
+    });
 }
 
 // ── Resolve slug from IMDB ID via Puppeteer ───────────────────────────────────
-// Used as fallback for films outside the watchlist.
+// Used by resolveSlug for films the slug cache doesn't know yet.
 // Letterboxd redirects /film/imdb/{imdbId}/ to the correct film page.
 
-async function resolveSlugFromImdbViaPuppeteer(imdbId) {
-    let page;
+async function resolveSlugFromImdbViaPuppeteer(imdbId, credentials) {
     try {
-        const b = await ensureBrowserLoggedIn();
-        page = await b.newPage();
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
-                req.abort();
-            } else {
-                req.continue();
-            }
-        });
-        await page.goto(`${BASE_URL}/film/imdb/${imdbId}/`, {
-            waitUntil: 'domcontentloaded',
-            timeout: 20000,
+        await ensureBrowserLoggedIn(credentials);
+        const finalUrl = await withPage(sessionKey(credentials), async (page) => {
+            await gotoPage(page, `${BASE_URL}/film/imdb/${imdbId}/`, {
+                waitUntil: 'domcontentloaded',
+                timeout: 20000,
+            });
+            return page.url();
         });
-        const finalUrl = page.url();
-        await page.close();
         // Final URL is like https://letterboxd.com/film/violent-cop/
-        const match = finalUrl.match(/letterboxd\.com\/film\/([^/]+)\//);
+        const match = new URL(finalUrl).pathname.match(/^\/film\/([^/]+)\//);
         if (match) {
             console.log(`[resolveSlug] ${imdbId} → ${match[1]} (via Puppeteer)`);
             return match[1];
         }
         return null;
     } catch (err) {
-        if (page) await page.close().catch(() => {});
         console.error(`[resolveSlug] Puppeteer failed for ${imdbId}:`, err.message);
         return null;
     }
 }
 
-module.exports = { getWatchlist, getFilmMeta, getUserRating, rateFilm, hasSession, getFromCache: getCache, resolveSlugFromImdbViaPuppeteer };
+// IMDb id → slug. The cache's permanent `slug` namespace has every film page
+// the addon has scraped (catalogs, exports, meta), so this only goes to
+// Letterboxd for films it has never seen: one page load through Puppeteer,
+// which bypasses Cloudflare. That needs a logged-in account: without
+// `credentials` only the cache answers.
+async function resolveSlug(imdbId, credentials) {
+    const known = cache.get(`slug:${imdbId}`);
+    if (known || !credentials) return known;
+    const slug = await resolveSlugFromImdbViaPuppeteer(imdbId, credentials);
+    if (slug) cache.set(`slug:${imdbId}`, slug);
+    return slug;
+}
+
+// ── Resolve slug from a Letterboxd URI ────────────────────────────────────────
+// Letterboxd's CSV exports link films as https://boxd.it/{code}, which
+// redirects to the film page. Older exports use the film URL itself.
+
+async function resolveLetterboxdUri(uri) {
+    const direct = String(uri).match(/letterboxd\.com\/(?:[^/]+\/)?film\/([^/]+)/);
+    if (direct) return direct[1];
+    if (!/^https?:\/\/boxd\.it\/\w+/.test(uri)) return null;
+
+    const cacheKey = `slug:${uri}`;
+    const known = cache.get(cacheKey);
+    if (known) return known;
+    try {
+        const res = await scrape('boxd', uri, {
+            maxRedirects: 0,
+            validateStatus: status => status >= 300 && status < 400,
+        });
+        const slug = String(res.headers.location || '').match(/\/film\/([^/]+)\//)?.[1] || null;
+        if (slug) cache.set(cacheKey, slug);
+        return slug;
+    } catch (err) {
+        console.error(`[resolveSlug] Could not follow ${uri}:`, err.message);
+        return null;
+    }
+}
+
+module.exports = { getWatchlist, watchlistPages, ratingPages, diaryPages, getList, getBrowseFilms, getWatched, getFriendsActivity, getRecommendations, getFilmMeta, getCachedFilmMeta, getAvailability, getCachedAvailability, getRatingHistogram, getPopularReviews, getUserRating, rateFilm, logDiaryEntry, setWatchlisted, setLiked, hasSession, checkSession, verifyCredentials, sessionStatus, forceRelogin, getFromCache: cache.get, resolveSlugFromImdbViaPuppeteer, resolveSlug, resolveLetterboxdUri, RATING_MAP, fetchWatchlistPage, portraitPoster, parseRatingWidget };
@@ -0,0 +1,114 @@
+// ── Metrics ───────────────────────────────────────────────────────────────────
+// Counters and histograms for /metrics, in the Prometheus text format
+// (version 0.0.4). Only what the addon records itself — no process metrics —
+// so there's no client library to pull in.
+//
+// Labels are kept to small fixed sets (page type, catalog id, result); never
+// put a username or slug in one.
+
+// Seconds: scrapes and catalogs are anything from a cache hit to a 30s timeout
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function counter(name, help, labelNames = []) {
+    const values = new Map(); // labelKey → count
+    if (!labelNames.length) values.set(labelKey(labelNames), 0);
+    const metric = {
+        inc(labels, by = 1) {
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + by);
+        },
+        render() {
+            return [...values].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+        },
+    };
+    registry.push({ name, help, type: 'counter', metric });
+    return metric;
+}
+
+// `collect()` returns [{ labels, value }] when /metrics is read
+function gauge(name, help, labelNames, collect) {
+    const metric = {
+        render() {
+            return collect().map(({ labels = {}, value }) => `${name}${formatLabels(labelNames, labelNames.map(n => String(labels[n] ?? '')))} ${value}`);
+        },
+    };
+    registry.push({ name, help, type: 'gauge', metric });
+    return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // labelKey → { counts per bucket, sum, count }
+    const metric = {
+        observe(labels, seconds) {
+            const key = labelKey(labelNames, labels);
+            if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const s = series.get(key);
+            buckets.forEach((le, i) => { if (seconds <= le) s.counts[i]++; });
+            s.sum += seconds;
+            s.count++;
+        },
+        // Returns a function that observes the time since startTimer was called
+        startTimer(labels) {
+            const start = process.hrtime.bigint();
+            return () => metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        },
+        render() {
+            const lines = [];
+            for (const [key, s] of series) {
+                const values = JSON.parse(key);
+                buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${s.counts[i]}`));
+                lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+            }
+            return lines;
+        },
+    };
+    registry.push({ name, help, type: 'histogram', metric });
+    return metric;
+}
+
+// The whole registry as a /metrics response body
+function render() {
+    return registry.map(({ name, help, type, metric }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...metric.render(),
+    ].join('\n')).join('\n') + '\n';
+}
+
+// ── Addon metrics ─────────────────────────────────────────────────────────────
+
+const scrapeDuration = histogram('letterboxio_scrape_duration_seconds', 'Letterboxd page fetches by page type', ['page']);
+const scrapeErrors = counter('letterboxio_scrape_errors_total', 'Failed Letterboxd page fetches by page type', ['page']);
+const cloudflareChallenges = counter('letterboxio_cloudflare_challenges_total', 'Cloudflare challenge pages met on film pages in the browser');
+const ratings = counter('letterboxio_ratings_total', 'Ratings sent to Letterboxd by result', ['result']);
+// Both results show up as 0 before the first rating
+ratings.inc({ result: 'success' }, 0);
+ratings.inc({ result: 'failure' }, 0);
+const schedulerBackoffs = counter('letterboxio_scheduler_backoffs_total', 'Pauses of all Letterboxd traffic by cause (429, 403, challenge)', ['reason']);
+const catalogDuration = histogram('letterboxio_catalog_duration_seconds', 'Catalog responses by catalog', ['catalog']);
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    gauge,
+    render,
+    scrapeDuration,
+    scrapeErrors,
+    cloudflareChallenges,
+    ratings,
+    schedulerBackoffs,
+    catalogDuration,
+};
@@ -0,0 +1,222 @@
+// ── HTML pages served by the Express app ──────────────────────────────────────
+// Kept as plain template strings — there's no view engine in this project.
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const BASE_STYLE = `
+    body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; background: #14181c; color: #def; margin: 0; padding: 2rem; }
+    main { max-width: 480px; margin: 0 auto; }
+    h1 { color: #fff; margin-top: 0; }
+    label { display: block; margin: 1rem 0 .25rem; }
+    input[type=text], input[type=password], input[type=date], select, textarea { width: 100%; box-sizing: border-box; padding: .5rem; border-radius: 4px; border: 1px solid #456; background: #2c3440; color: #fff; }
+    button, .button { display: inline-block; margin-top: 1.5rem; padding: .6rem 1.2rem; border: 0; border-radius: 4px; background: #00c030; color: #fff; font-weight: bold; text-decoration: none; cursor: pointer; }
+    .hint { font-size: .85rem; color: #9ab; }
+    .error { color: #ff8000; }
+    code { word-break: break-all; }
+    .poster { float: right; margin-left: 1rem; border-radius: 4px; }
+    main.wide { max-width: 960px; }
+    table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+    th, td { text-align: left; padding: .3rem .5rem; border-bottom: 1px solid #2c3440; vertical-align: top; }
+    th { color: #9ab; font-weight: normal; }
+    form.inline { display: inline; }
+    form.inline button { margin: 0 .5rem .5rem 0; }
+`;
+
+function layout(title, body, { wide = false } = {}) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${BASE_STYLE}</style>
+</head>
+<body><main${wide ? ' class="wide"' : ''}>${body}</main></body>
+</html>`;
+}
+
+// A page with just an error message, for browser-facing routes
+function errorPage(text) {
+    return layout('Letterboxio', `<h1>Letterboxio</h1>\n<p class="error">${escapeHtml(text)}</p>`);
+}
+
+// ── /configure ────────────────────────────────────────────────────────────────
+// The form POSTs to /configure so the password is sent in the request body,
+// never in a URL. The server answers with the encrypted config token.
+
+// serverUsername: the server's own account, if it has a login set up;
+// adminLogin: whether ADMIN_PASSWORD also unlocks it
+function configurePage({ canStorePassword, serverUsername = null, adminLogin = false, username = '', lists = [], country = '', services = [] }) {
+    const serverHint = serverUsername
+        ? ` To rate on this server's account (${escapeHtml(serverUsername)}), enter its password${adminLogin ? ' or the admin password' : ''}: the URL then carries a grant, not the password.`
+        : '';
+    const passwordField = canStorePassword || serverUsername
+        ? `<label for="password">Letterboxd password <span class="hint">(optional, needed for rating)</span></label>
+<input id="password" name="password" type="password" autocomplete="current-password">
+<p class="hint">${canStorePassword ? 'Stored encrypted inside your install URL.' : 'This deployment can\'t store passwords, so only its own account can rate.'}${serverHint} Leave empty to browse only.</p>`
+        : `<p class="hint">Rating is not available on this deployment.</p>`;
+
+    return layout('Configure Letterboxio', `
+<h1>Letterboxio</h1>
+<form id="configure">
+<label for="username">Letterboxd username</label>
+<input id="username" name="username" type="text" required value="${escapeHtml(username)}" autocomplete="username">
+${passwordField}
+<label for="lists">Lists to show as catalogs <span class="hint">(one per line)</span></label>
+<textarea id="lists" name="lists" rows="4" placeholder="owner/list-slug | Catalog name">${escapeHtml(lists.map(l => `${l.owner}/${l.slug} | ${l.name}`).join('\n'))}</textarea>
+<p class="hint">Paste a list URL or owner/list-slug. The name after | is optional.</p>
+<label for="country">Where to watch: country <span class="hint">(two-letter code, e.g. US, GB)</span></label>
+<input id="country" name="country" type="text" maxlength="2" value="${escapeHtml(country || '')}">
+<label for="services">Services you subscribe to <span class="hint">(comma-separated)</span></label>
+<input id="services" name="services" type="text" placeholder="Netflix, MUBI, Criterion Channel" value="${escapeHtml(services.join(', '))}">
+<p class="hint">Used by the watchlist's "On my services" filter.</p>
+<label><input name="rating" type="checkbox" checked> Show rating buttons</label>
+<button type="submit">Generate install link</button>
+</form>
+<p id="error" class="error"></p>
+<div id="result" hidden>
+<p><a id="install" class="button" href="#">Install in Stremio</a></p>
+<p class="hint">Or paste this manifest URL into Stremio:</p>
+<p><code id="manifest"></code></p>
+</div>
+<script>
+document.getElementById('configure').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const errorEl = document.getElementById('error');
+    errorEl.textContent = '';
+    const body = {
+        username: form.username.value,
+        password: form.password ? form.password.value : '',
+        options: { rating: form.rating.checked, country: form.country.value, services: form.services.value },
+        lists: form.lists.value.split('\\n'),
+    };
+    const res = await fetch('/configure', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) { errorEl.textContent = data.error || 'Something went wrong'; return; }
+    document.getElementById('manifest').textContent = data.manifestUrl;
+    document.getElementById('install').href = data.manifestUrl.replace(/^https?:/, 'stremio:');
+    document.getElementById('result').hidden = false;
+});
+</script>`);
+}
+
+// ── /review ───────────────────────────────────────────────────────────────────
+// Opened from the "Write review" stream entry. The form posts back to the
+// same signed URL; the answer is this page again, with the outcome in
+// `message` ({ ok, text }). After a success the form is replaced by a link.
+
+const REVIEW_STARS = ['0.5', '1', '1.5', '2', '2.5', '3', '3.5', '4', '4.5', '5'];
+
+function reviewPage({ film, action, values = {}, message = null }) {
+    const stars = (n) => '★'.repeat(Math.floor(n)) + (n % 1 ? '½' : '');
+    const ratingOptions = REVIEW_STARS
+        .map(n => `<option value="${n}"${String(values.stars) === n ? ' selected' : ''}>${stars(Number(n))}</option>`)
+        .join('');
+    const heading = `${escapeHtml(film.title)}${film.year ? ` <span class="hint">(${escapeHtml(film.year)})</span>` : ''}`;
+    const poster = film.poster ? `<img class="poster" src="${escapeHtml(film.poster)}" alt="" width="115" height="172">` : '';
+    const notice = message
+        ? `<p class="${message.ok ? 'hint' : 'error'}">${escapeHtml(message.text)}</p>`
+        : '';
+
+    if (message?.ok) {
+        return layout(`Review ${film.title}`, `
+${poster}
+<h1>${heading}</h1>
+${notice}
+<p><a class="button" href="${escapeHtml(film.url)}">Open on Letterboxd</a></p>`);
+    }
+
+    return layout(`Review ${film.title}`, `
+${poster}
+<h1>${heading}</h1>
+${notice}
+<form method="post" action="${escapeHtml(action)}">
+<label for="review">Review</label>
+<textarea id="review" name="review" rows="8" required>${escapeHtml(values.review)}</textarea>
+<label><input name="spoilers" type="checkbox"${values.spoilers ? ' checked' : ''}> Contains spoilers</label>
+<label for="stars">Rating</label>
+<select id="stars" name="stars"><option value="">No rating</option>${ratingOptions}</select>
+<label for="date">Watched on</label>
+<input id="date" name="date" type="date" required value="${escapeHtml(values.date)}">
+<button type="submit">Publish review</button>
+</form>`);
+}
+
+// ── /admin ────────────────────────────────────────────────────────────────────
+// Read-only tables plus a few buttons; each button POSTs to /admin/api/{action}
+// and comes back here with `message` set.
+
+function adminPage(state, message) {
+    const time = (ms) => (ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 19) : '—');
+    const yesNo = (value) => (value ? 'yes' : 'no');
+    const button = (action, label, fields = {}) => `<form class="inline" method="post" action="/admin/api/${action}">${
+        Object.entries(fields).map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('')
+    }<button type="submit">${escapeHtml(label)}</button></form>`;
+    const table = (headers, rows) => (rows.length
+        ? `<table><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>${
+            rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</table>`
+        : '<p class="hint">None.</p>');
+    const jobRows = (jobs) => jobs.map(j => [
+        escapeHtml(time(j.updatedAt)),
+        escapeHtml(j.username),
+        escapeHtml(j.type),
+        escapeHtml(j.slug || j.imdbId || j.uri || ''),
+        escapeHtml(j.attempts),
+        `<span class="error">${escapeHtml(j.error || '')}</span>`,
+    ]);
+    const jobHeaders = ['Updated', 'User', 'Action', 'Film', 'Attempts', 'Error'];
+    const { browser, scheduler, sessions, cache, jobs } = state;
+
+    return layout('Letterboxio admin', `
+<h1>Letterboxio admin</h1>
+${message ? `<p class="hint">${escapeHtml(message)}</p>` : ''}
+${button('flush-watchlist', 'Flush watchlist cache')}${button('relogin', 'Force re-login (all)')}${button('retry-failed', `Retry failed jobs (${jobs.failed.length})`)}
+
+<h2>Browser</h2>
+${table(['Running', 'Pages in use', 'Waiting', 'Contexts', 'Launched', 'Last used', 'Launches', 'Restarts'], [[
+        yesNo(browser.running), `${browser.activePages} / ${browser.maxPages}`, browser.waitingForPage, browser.contexts,
+        time(browser.launchedAt), time(browser.lastUsedAt), browser.launches, browser.restarts,
+    ].map(escapeHtml)])}
+
+<h2>Letterboxd requests</h2>
+${table(['Circuit', 'Failures in a row', 'Paused', 'In flight', 'Sent', 'Shared', 'Backoffs', 'Circuit opened'], [[
+        scheduler.circuit, scheduler.consecutiveFailures, scheduler.pausedForMs ? `${Math.ceil(scheduler.pausedForMs / 1000)}s` : 'no',
+        scheduler.inFlight, scheduler.requests, scheduler.deduped, scheduler.backoffs, scheduler.circuitOpens,
+    ].map(escapeHtml)])}
+
+<h2>Logins</h2>
+${table(['Account', 'Logged in', 'Last login', 'How', ''], sessions.map(s => [
+        escapeHtml(s.username), yesNo(s.loggedIn), escapeHtml(time(s.lastLoginAt)), escapeHtml(s.lastLoginMethod),
+        button('relogin', 'Force re-login', { username: s.username }),
+    ]))}
+
+<h2>Queue (${jobs.pending.length})</h2>
+${table(jobHeaders, jobRows(jobs.pending))}
+
+<h2>Failed (${jobs.failed.length})</h2>
+${table(jobHeaders, jobRows(jobs.failed))}
+
+<h2>Recent successes</h2>
+${table(jobHeaders.slice(0, 5), jobRows(jobs.succeeded).map(cells => cells.slice(0, 5)))}
+
+<h2>Cache (${Math.round(cache.totalBytes / 1024)} / ${Math.round(cache.maxBytes / 1024)} KB)</h2>
+${table(['Namespace', 'Entries', 'KB', 'Hits', 'Stale hits', 'Misses', 'Hit rate'], Object.entries(cache.namespaces).map(([name, ns]) => [
+        name, ns.entries, Math.round(ns.bytes / 1024), ns.hits, ns.staleHits, ns.misses,
+        ns.hitRate === null ? '—' : `${Math.round(ns.hitRate * 100)}%`,
+    ].map(escapeHtml)))}
+<p class="hint">Counts are since the server started. JSON: <code>/admin/api/status</code></p>`, { wide: true });
+}
+
+module.exports = { escapeHtml, layout, errorPage, configurePage, reviewPage, adminPage };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+// ── Record & replay ───────────────────────────────────────────────────────────
+// With LETTERBOXD_RECORD_DIR set, every Letterboxd page the addon loads —
+// plain HTTP scrapes and browser page loads — is saved under that directory
+// by path:
+//   /snuffalobill/watchlist/page/1/       → {dir}/snuffalobill/watchlist/page/1/index.html
+//   /csi/film/alien/availability/?country=GB → {dir}/csi/film/alien/availability/index%3Fcountry%3DGB.html
+//
+// The replay server serves such a directory back. Point the addon at it with
+// LETTERBOXD_BASE_URL and it runs against the recordings, offline:
+//   node recorder.js test/fixtures/letterboxd 7100
+//   LETTERBOXD_BASE_URL=http://localhost:7100 npm start
+// A path with no recording answers 404 and is logged, so a scraper asking
+// for a page that was never recorded is easy to spot.
+
+const RECORD_DIR = process.env.LETTERBOXD_RECORD_DIR || null;
+
+// "/film/alien/?x=1" → "{dir}/film/alien/index%3Fx%3D1.html", or null if the
+// path would leave `dir`
+function recordingFile(dir, pathAndQuery) {
+    const { pathname, search } = new URL(pathAndQuery, 'http://recording');
+    const root = path.resolve(dir);
+    const file = path.join(root, decodeURIComponent(pathname), `index${encodeURIComponent(search)}.html`);
+    return file.startsWith(root + path.sep) ? file : null;
+}
+
+function saveRecording(dir, url, body) {
+    const { pathname, search } = new URL(url);
+    const file = recordingFile(dir, pathname + search);
+    if (!file) return;
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, body);
+        console.log(`[record] ${pathname}${search} → ${path.relative(process.cwd(), file)}`);
+    } catch (err) {
+        console.error(`[record] Could not save ${url}:`, err.message);
+    }
+}
+
+// Saves a page's HTML when LETTERBOXD_RECORD_DIR is set; otherwise a no-op
+function recordPage(url, body) {
+    if (RECORD_DIR && typeof body === 'string') saveRecording(RECORD_DIR, url, body);
+}
+
+// Serves the recordings in `dir`. Resolves to { url, close() } once listening;
+// port 0 picks a free one.
+function startReplayServer(dir, port = 0) {
+    const server = http.createServer((req, res) => {
+        const file = recordingFile(dir, req.url);
+        fs.readFile(file || '', (err, body) => {
+            if (err) {
+                console.warn(`[replay] No recording for ${req.url}`);
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                return res.end(`No recording for ${req.url}\n`);
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(body);
+        });
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done)),
+        }));
+    });
+}
+
+module.exports = { recordPage, saveRecording, startReplayServer };
+
+if (require.main === module) {
+    const [dir = 'test/fixtures/letterboxd', port = '7100'] = process.argv.slice(2);
+    startReplayServer(dir, parseInt(port, 10)).then(({ url }) => {
+        console.log(`Replaying ${path.resolve(dir)} at ${url}`);
+        console.log(`Run the addon against it with LETTERBOXD_BASE_URL=${url}`);
+    }).catch(err => {
+        console.error(`Could not start the replay server: ${err.message}`);
+        process.exit(1);
+    });
+}
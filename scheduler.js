@@ -0,0 +1,167 @@
+const metrics = require('./metrics');
+
+// ── Letterboxd request scheduler ──────────────────────────────────────────────
+// Every request to Letterboxd — plain HTTP scrapes and browser page loads
+// alike — waits its turn here, so the whole process stays under one rate
+// however many catalogs, imports and jobs are running:
+//   - a token bucket: LETTERBOXD_RATE_PER_SECOND (default 4) requests a
+//     second, in bursts of up to LETTERBOXD_BURST (default 8)
+//   - identical GETs in flight at the same time are sent once and shared
+//   - a 429, a 403 or a Cloudflare challenge page pauses everyone, 5s at
+//     first and twice as long each time it happens again (or Retry-After)
+//   - after BREAKER_FAILURES failures in a row nothing is sent for
+//     BREAKER_COOLDOWN_MS; requests fail straight away with
+//     code LETTERBOXD_UNAVAILABLE. Once it's over, a single failure stops
+//     traffic again until a request succeeds.
+
+const RATE_PER_SECOND = parseFloat(process.env.LETTERBOXD_RATE_PER_SECOND) || 4;
+const BURST = parseInt(process.env.LETTERBOXD_BURST, 10) || 8;
+const BASE_BACKOFF_MS = 5 * 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const BREAKER_FAILURES = 5;
+const BREAKER_COOLDOWN_MS = 2 * 60 * 1000;
+
+let tokens = BURST;
+let refilledAt = Date.now();
+let pausedUntil = 0;
+let backoffMs = 0;
+let failures = 0;  // in a row
+let openUntil = 0; // circuit breaker
+let queue = Promise.resolve(); // callers take tokens in arrival order
+const inFlight = new Map();    // dedupe key → pending request
+const stats = { requests: 0, deduped: 0, backoffs: 0, circuitOpens: 0 };
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function unavailable() {
+    const seconds = Math.ceil((openUntil - Date.now()) / 1000);
+    const err = new Error(`Letterboxd requests stopped after ${failures} failures in a row, resuming in ${seconds}s`);
+    err.code = 'LETTERBOXD_UNAVAILABLE';
+    return err;
+}
+
+async function takeToken() {
+    for (;;) {
+        const now = Date.now();
+        if (openUntil > now) throw unavailable();
+        if (pausedUntil > now) {
+            await sleep(pausedUntil - now);
+            continue;
+        }
+        tokens = Math.min(BURST, tokens + ((now - refilledAt) / 1000) * RATE_PER_SECOND);
+        refilledAt = now;
+        if (tokens >= 1) {
+            tokens--;
+            return;
+        }
+        await sleep(((1 - tokens) / RATE_PER_SECOND) * 1000);
+    }
+}
+
+function nextTurn() {
+    const turn = queue.then(takeToken);
+    queue = turn.catch(() => {});
+    return turn;
+}
+
+// ── Outcomes ──────────────────────────────────────────────────────────────────
+// Works on axios responses (status, headers) and Puppeteer ones (status(),
+// headers()), and on postForm's { status }.
+
+function statusOf(response) {
+    return typeof response?.status === 'function' ? response.status() : response?.status;
+}
+
+function retryAfterMs(response) {
+    const headers = typeof response?.headers === 'function' ? response.headers() : response?.headers;
+    const seconds = parseInt(headers?.['retry-after'], 10);
+    return seconds > 0 ? seconds * 1000 : 0;
+}
+
+// `response` is what came back (or the error's response); `thrown` says
+// whether the request failed outright
+function record(response, thrown, reason) {
+    const status = statusOf(response);
+    if (status === 429 || status === 403) return blocked(`HTTP ${status}`, retryAfterMs(response));
+    if (status >= 500 || (thrown && !status)) return failed(status ? `HTTP ${status}` : reason);
+    // Anything else, 404s included, is Letterboxd answering normally
+    failures = 0;
+    backoffMs = 0;
+}
+
+function blocked(reason, retryAfter = 0) {
+    backoffMs = Math.min(MAX_BACKOFF_MS, backoffMs ? backoffMs * 2 : BASE_BACKOFF_MS);
+    const wait = Math.max(backoffMs, retryAfter);
+    pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+    stats.backoffs++;
+    metrics.schedulerBackoffs.inc({ reason: reason.startsWith('HTTP') ? reason.slice(5) : reason });
+    console.warn(`[scheduler] ${reason}, pausing Letterboxd requests for ${Math.round(wait / 1000)}s`);
+    failed(reason);
+}
+
+function failed(reason) {
+    failures++;
+    if (failures >= BREAKER_FAILURES && openUntil <= Date.now()) {
+        openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+        stats.circuitOpens++;
+        console.error(`[scheduler] ${failures} failures in a row (last: ${reason}), stopping Letterboxd requests for ${BREAKER_COOLDOWN_MS / 60000} min`);
+    }
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+// Runs `request()` once the rate limit allows, and returns its result.
+// Callers passing the same `key` while it's in flight share the one request;
+// pass null for requests that mustn't be shared (browser navigations, POSTs).
+function schedule(key, request) {
+    if (key && inFlight.has(key)) {
+        stats.deduped++;
+        return inFlight.get(key);
+    }
+    const promise = run(request);
+    if (key) {
+        inFlight.set(key, promise);
+        promise.finally(() => inFlight.delete(key)).catch(() => {});
+    }
+    return promise;
+}
+
+async function run(request) {
+    await nextTurn();
+    stats.requests++;
+    let result;
+    try {
+        result = await request();
+    } catch (err) {
+        record(err.response, true, err.message);
+        throw err;
+    }
+    record(result, false);
+    return result;
+}
+
+// A request came back as a Cloudflare challenge page
+function reportChallenge() {
+    blocked('challenge');
+}
+
+function schedulerStatus() {
+    const now = Date.now();
+    return {
+        ratePerSecond: RATE_PER_SECOND,
+        burst: BURST,
+        circuit: openUntil > now ? 'open' : failures >= BREAKER_FAILURES ? 'half-open' : 'closed',
+        consecutiveFailures: failures,
+        pausedForMs: Math.max(0, pausedUntil - now),
+        inFlight: inFlight.size,
+        ...stats,
+    };
+}
+
+metrics.gauge('letterboxio_scheduler_circuit_open', 'Whether Letterboxd requests are stopped after repeated failures', [], () => [
+    { value: openUntil > Date.now() ? 1 : 0 },
+]);
+
+module.exports = { schedule, reportChallenge, schedulerStatus };
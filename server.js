@@ -1,96 +1,512 @@
 require('dotenv').config();
 
 const { addonBuilder } = require('stremio-addon-sdk');
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { getWatchlist, getFilmMeta, rateFilm, hasSession, resolveSlugFromImdbViaPuppeteer } = require('./letterboxd');
+const { getWatchlist, getList, getBrowseFilms, getWatched, getFriendsActivity, getRecommendations, getFilmMeta, getCachedFilmMeta, getAvailability, getCachedAvailability, getRatingHistogram, getPopularReviews, getUserRating, rateFilm, logDiaryEntry, setWatchlisted, setLiked, hasSession, checkSession, verifyCredentials, sessionStatus, forceRelogin, getFromCache, resolveSlug, resolveLetterboxdUri } = require('./letterboxd');
+const { encodeConfig, decodeConfig, defaultConfig, getCredentials, serverCredentials, canEncrypt, hasStableGrantKey, parseListRef, parseCountry, parseServices } = require('./config');
+const { errorPage, configurePage, reviewPage, adminPage } = require('./pages');
+const { startJobQueue, enqueueJob, acceptOnce, listJobs, retryFailed } = require('./jobs');
+const cache = require('./cache');
+const { browserStatus } = require('./browser');
+const { schedulerStatus } = require('./scheduler');
+const { signPath, requireSignature } = require('./signing');
+const { planImport, dryRunReport, startImports, createImport, listImports } = require('./importer');
+const { streamExport } = require('./exporter');
+const metrics = require('./metrics');
 
-const USERNAME = process.env.LETTERBOXD_USERNAME || 'snuffalobill';
 const PORT = process.env.PORT || 7000;
 
 // ── Addon manifest ─────────────────────────────────────────────────────────────
 
+const WATCHED_SORT_OPTIONS = ['Date watched', 'My rating', 'Release year'];
+const MIN_RATING_OPTIONS = ['0.5★+', '1★+', '1.5★+', '2★+', '2.5★+', '3★+', '3.5★+', '4★+', '4.5★+', '5★'];
+
+// Letterboxd's genres, as named on its browse pages
+const GENRE_OPTIONS = [
+    'Action', 'Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary', 'Drama', 'Family',
+    'Fantasy', 'History', 'Horror', 'Music', 'Mystery', 'Romance', 'Science Fiction',
+    'Thriller', 'TV Movie', 'War', 'Western',
+];
+const CURRENT_YEAR = new Date().getFullYear();
+const CURRENT_DECADE = Math.floor(CURRENT_YEAR / 10) * 10;
+// Newest first: 2020s … 1900s, and this year … 1920
+const DECADE_OPTIONS = Array.from({ length: (CURRENT_DECADE - 1900) / 10 + 1 }, (_, i) => `${CURRENT_DECADE - i * 10}s`);
+const YEAR_OPTIONS = Array.from({ length: CURRENT_YEAR - 1920 + 1 }, (_, i) => String(CURRENT_YEAR - i));
+
+const WATCHLIST_SORT_OPTIONS = ['Date added', 'Release year', 'Letterboxd rating', 'Shortest first'];
+// "1990s" or "Before 1960"
+const YEAR_RANGE_OPTIONS = [...DECADE_OPTIONS.filter(d => parseInt(d, 10) >= 1960), 'Before 1960'];
+// Runtime in minutes: [min, max)
+const RUNTIME_BUCKETS = {
+    'Under 90 min': [0, 90],
+    '90–120 min': [90, 120],
+    '2–2½ hours': [120, 150],
+    'Over 2½ hours': [150, Infinity],
+};
+
+// Discovery catalogs scrape Letterboxd's browse pages. Stremio only has one
+// filter dropdown, `genre`, so the decade and year catalogs use it for theirs.
+// filters(genre) → browse filters for letterboxd.getBrowseFilms
+const DISCOVERY_CATALOGS = {
+    'letterboxd-popular-week': {
+        name: 'Letterboxd Popular This Week',
+        options: GENRE_OPTIONS,
+        filters: (genre) => ({ sort: 'week', genre }),
+    },
+    'letterboxd-top-rated': {
+        name: 'Letterboxd Top Rated',
+        options: GENRE_OPTIONS,
+        filters: (genre) => ({ sort: 'rating', genre }),
+    },
+    'letterboxd-decade': {
+        name: 'Letterboxd by Decade',
+        options: DECADE_OPTIONS,
+        filters: (decade = DECADE_OPTIONS[0]) => ({ sort: 'popular', decade }),
+    },
+    'letterboxd-year': {
+        name: 'Letterboxd by Year',
+        options: YEAR_OPTIONS,
+        filters: (year = YEAR_OPTIONS[0]) => ({ sort: 'popular', year }),
+    },
+};
+
+// Stremio only sends `search`, `genre` and `skip`, so each further watchlist
+// or watched filter is a catalog of its own with the filter's values as its genre
+// options. The genre is required, which keeps these off the Board: they
+// show up in Discover, with the first option picked.
+// base: the catalog they filter; extra: what their genre stands for there
+const VIEW_CATALOGS = {
+    'letterboxd-watchlist-decade': {
+        name: 'Letterboxio Watchlist by Decade',
+        base: 'letterboxd-watchlist',
+        extra: 'year',
+        options: YEAR_RANGE_OPTIONS,
+    },
+    'letterboxd-watchlist-runtime': {
+        name: 'Letterboxio Watchlist by Runtime',
+        base: 'letterboxd-watchlist',
+        extra: 'runtime',
+        options: Object.keys(RUNTIME_BUCKETS),
+    },
+    'letterboxd-watchlist-sorted': {
+        name: 'Letterboxio Watchlist Sorted',
+        base: 'letterboxd-watchlist',
+        extra: 'sort',
+        options: WATCHLIST_SORT_OPTIONS,
+    },
+    'letterboxd-watched-sorted': {
+        name: 'Letterboxio Watched Sorted',
+        base: 'letterboxd-watched',
+        extra: 'sort',
+        options: WATCHED_SORT_OPTIONS,
+    },
+};
+
+// Manifest entries for the views of `base`
+function viewCatalogs(base) {
+    return Object.entries(VIEW_CATALOGS).filter(([, view]) => view.base === base).map(([id, view]) => ({
+        id,
+        type: 'movie',
+        name: view.name,
+        extra: [
+            { name: 'genre', isRequired: true, options: view.options },
+            { name: 'skip', isRequired: false },
+        ],
+    }));
+}
+
+// Stremio pages catalogs with `skip`; we hand out this many films per page
+const PAGE_SIZE = 100;
+
 const manifest = {
     id: 'com.letterboxio.addon',
     version: '1.0.0',
     name: 'Letterboxio',
-    description: `Syncs with ${USERNAME}'s Letterboxd account. Shows watchlist and allows rating films.`,
+    description: 'Syncs with your Letterboxd account. Shows watchlist and allows rating films.',
     logo: 'https://a.ltrbxd.com/logos/letterboxd-decal-dots-neg-mono-500px.png',
-    resources: ['catalog', 'stream'],
+    resources: ['catalog', 'meta', 'stream'],
     types: ['movie'],
     catalogs: [
         {
             id: 'letterboxd-watchlist',
             type: 'movie',
             name: 'Letterboxio Watchlist',
+            extra: [
+                { name: 'skip', isRequired: false },
+                { name: 'search', isRequired: false },
+                { name: 'genre', isRequired: false, options: GENRE_OPTIONS },
+            ],
+        },
+        ...viewCatalogs('letterboxd-watchlist'),
+        {
+            id: 'letterboxd-watched',
+            type: 'movie',
+            name: 'Letterboxio Watched',
+            extra: [
+                { name: 'skip', isRequired: false },
+                // Minimum rating: Stremio's only dropdown is `genre`
+                { name: 'genre', isRequired: false, options: MIN_RATING_OPTIONS },
+            ],
+        },
+        ...viewCatalogs('letterboxd-watched'),
+        {
+            id: 'letterboxd-friends',
+            type: 'movie',
+            name: 'Letterboxio Friends',
+            extra: [
+                { name: 'skip', isRequired: false },
+                // Minimum rating, as for watched
+                { name: 'genre', isRequired: false, options: MIN_RATING_OPTIONS },
+            ],
+        },
+        {
+            id: 'letterboxd-recommendations',
+            type: 'movie',
+            name: 'Because you rated…',
             extra: [{ name: 'skip', isRequired: false }],
         },
+        ...Object.entries(DISCOVERY_CATALOGS).map(([id, catalog]) => ({
+            id,
+            type: 'movie',
+            name: catalog.name,
+            extra: [
+                { name: 'genre', isRequired: false, options: catalog.options },
+                { name: 'skip', isRequired: false },
+            ],
+        })),
     ],
     idPrefixes: ['tt'],
-    behaviorHints: { configurable: false },
+    behaviorHints: { configurable: true },
+};
+
+const LIST_CATALOG_PREFIX = 'letterboxd-list:';
+
+// Offered only to users with a country and services in their config
+const SERVICES_CATALOG = {
+    id: 'letterboxd-watchlist-services',
+    type: 'movie',
+    name: 'Letterboxio Watchlist On My Services',
+    extra: [{ name: 'skip', isRequired: false }],
 };
 
+// Each user gets the same addon, described with their own username, plus one
+// catalog per Letterboxd list in their config.
+function buildManifest(config) {
+    return {
+        ...manifest,
+        description: `Syncs with ${config.username}'s Letterboxd account. Shows watchlist and allows rating films.`,
+        catalogs: [
+            ...manifest.catalogs.flatMap(catalog => withServicesCatalog(catalog, config)),
+            ...config.lists.map(list => ({
+                id: `${LIST_CATALOG_PREFIX}${list.owner}:${list.slug}`,
+                type: 'movie',
+                name: list.name,
+                extra: [{ name: 'skip', isRequired: false }],
+            })),
+        ],
+    };
+}
+
+// Puts the "On my services" catalog after the watchlist for users who can use it
+function withServicesCatalog(catalog, config) {
+    return catalog.id === 'letterboxd-watchlist' && hasServices(config) ? [catalog, SERVICES_CATALOG] : [catalog];
+}
+
+function hasServices(config) {
+    return !!config.options.country && config.options.services.length > 0;
+}
+
 const builder = new addonBuilder(manifest);
 
 // ── Catalog handler ───────────────────────────────────────────────────────────
 
-builder.defineCatalogHandler(async ({ type, id, extra }) => {
-    if (type !== 'movie' || id !== 'letterboxd-watchlist') {
-        return { metas: [] };
+// Films for a catalog id, in catalog order, or null for an unknown catalog.
+// Only lists that are part of the user's config are served.
+async function getCatalogFilms(id, config, extra) {
+    const view = VIEW_CATALOGS[id];
+    if (view) {
+        const value = view.options.includes(extra?.genre) ? extra.genre : view.options[0];
+        return getCatalogFilms(view.base, config, { [view.extra]: value });
+    }
+    if (id === SERVICES_CATALOG.id) {
+        if (!hasServices(config)) return null;
+        return getCatalogFilms('letterboxd-watchlist', config, { streaming: true });
+    }
+    if (id === 'letterboxd-watchlist') {
+        console.log(`[catalog] Fetching watchlist for ${config.username}`);
+        return applyWatchlistExtras(await getWatchlist(config.username), extra, config);
+    }
+    if (id === 'letterboxd-watched') {
+        console.log(`[catalog] Fetching watched films for ${config.username}`);
+        return applyWatchedExtras(await getWatched(config.username), { minRating: extra?.genre, sort: extra?.sort });
+    }
+    if (id === 'letterboxd-friends') {
+        console.log(`[catalog] Fetching friends' activity for ${config.username}`);
+        return applyFriendsExtras(await getFriendsActivity(config.username), { minRating: extra?.genre });
+    }
+    if (id === 'letterboxd-recommendations') {
+        console.log(`[catalog] Fetching recommendations for ${config.username}`);
+        const films = await getRecommendations(config.username);
+        return films.map(film => ({ ...film, note: `Because you rated ${film.because.slice(0, 3).join(', ')}` }));
+    }
+    if (DISCOVERY_CATALOGS[id]) {
+        const catalog = DISCOVERY_CATALOGS[id];
+        const genre = catalog.options.includes(extra?.genre) ? extra.genre : undefined;
+        console.log(`[catalog] Fetching ${id}${genre ? ` (${genre})` : ''}`);
+        // Only the pages up to the one Stremio asked for
+        const skip = parseInt(extra?.skip || '0', 10);
+        return getBrowseFilms(catalog.filters(genre), skip + PAGE_SIZE);
+    }
+    if (id.startsWith(LIST_CATALOG_PREFIX)) {
+        const [owner, slug] = id.slice(LIST_CATALOG_PREFIX.length).split(':');
+        const list = config.lists.find(l => l.owner === owner && l.slug === slug);
+        if (!list) return null;
+        console.log(`[catalog] Fetching list ${owner}/${slug}`);
+        return getList(owner, slug);
+    }
+    return null;
+}
+
+// sort: date watched (default, films never logged in the diary go last),
+// my rating, or release year — all newest/highest first. It's the genre of
+// the letterboxd-watched-sorted catalog.
+// minRating: "3.5★+" keeps films the user rated 3.5 stars or more. It's the
+// watched catalog's own genre.
+function applyWatchedExtras(films, extra) {
+    let result = films;
+
+    const minRating = parseFloat(extra?.minRating);
+    if (minRating > 0) result = result.filter(f => f.rating !== null && f.rating >= minRating);
+
+    switch (extra?.sort) {
+        case 'My rating':
+            return [...result].sort((a, b) => compareDesc(a.rating, b.rating));
+        case 'Release year':
+            return [...result].sort((a, b) => compareDesc(a.year, b.year));
+        default:
+            return [...result].sort((a, b) => compareDesc(a.watchedDate, b.watchedDate));
+    }
+}
+
+// search: title contains the text, ignoring case and accents.
+// year: a decade ("1990s") or "Before 1960". These two use the watchlist itself.
+// Only search and genre come from Stremio directly; year, runtime and sort
+// are the genre of a VIEW_CATALOGS catalog.
+// streaming (the letterboxd-watchlist-services catalog): keeps films
+// streaming on one of the user's services in their country (flat-rate only,
+// not rent or buy). Only availability already cached counts; the rest is
+// fetched in the background and turns up on a later load.
+// genre, runtime and the rating/runtime sorts need each film's page. Only
+// pages already cached are used: the others are fetched in the background,
+// and until then their films are left out by genre and runtime and sorted last.
+// sort: date added (default, Letterboxd's own order), release year (newest
+// first), Letterboxd rating (highest first) or shortest first.
+function applyWatchlistExtras(films, extra, config) {
+    let result = films;
+
+    const search = normalizeText(extra?.search);
+    if (search) result = result.filter(f => normalizeText(f.title).includes(search));
+
+    const yearRange = parseYearRange(extra?.year);
+    if (yearRange) {
+        result = result.filter(f => {
+            const year = parseInt(f.year, 10);
+            return year >= yearRange[0] && year < yearRange[1];
+        });
+    }
+
+    const { country, services } = config.options;
+    if (extra?.streaming && hasServices(config)) {
+        const mine = services.map(normalizeText);
+        const onMine = (a) => a.types.includes('stream') && mine.some(s => normalizeText(a.service).includes(s));
+        const availability = result.map(film => getCachedAvailability(film.slug, country));
+        const pending = availability.filter(a => a === null).length;
+        if (pending) console.log(`[catalog] Availability for ${pending} of ${result.length} films still loading`);
+        result = result.filter((_, i) => availability[i]?.some(onMine));
+    }
+
+    const genre = GENRE_OPTIONS.includes(extra?.genre) ? extra.genre : null;
+    const runtime = RUNTIME_BUCKETS[extra?.runtime] || null;
+    const sort = extra?.sort;
+    if (!genre && !runtime && sort !== 'Letterboxd rating' && sort !== 'Shortest first') {
+        return sort === 'Release year' ? [...result].sort((a, b) => compareDesc(a.year, b.year)) : result;
+    }
+
+    const withMeta = result.map(film => ({ ...film, meta: getCachedFilmMeta(film.slug) }));
+    const pending = withMeta.filter(f => !f.meta).length;
+    if (pending) console.log(`[catalog] Metadata for ${pending} of ${result.length} films still loading`);
+    result = withMeta
+        .filter(f => !genre || f.meta?.genres.includes(genre))
+        .filter(f => !runtime || (f.meta?.runtime && f.meta.runtime >= runtime[0] && f.meta.runtime < runtime[1]));
+
+    switch (sort) {
+        case 'Release year':
+            return result.sort((a, b) => compareDesc(a.year, b.year));
+        case 'Letterboxd rating':
+            return result.sort((a, b) => compareDesc(a.meta?.averageRating ?? null, b.meta?.averageRating ?? null));
+        case 'Shortest first':
+            return result.sort((a, b) => compareAsc(a.meta?.runtime ?? null, b.meta?.runtime ?? null));
+        default:
+            return result;
     }
+}
+
+// "1990s" → [1990, 2000], "Before 1960" → [0, 1960], anything else → null
+function parseYearRange(value) {
+    if (!YEAR_RANGE_OPTIONS.includes(value)) return null;
+    if (value.startsWith('Before ')) return [0, parseInt(value.slice(7), 10)];
+    const decade = parseInt(value, 10);
+    return [decade, decade + 10];
+}
 
-    console.log(`[catalog] Fetching watchlist for ${USERNAME}`);
+function normalizeText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Newest/highest first, with missing values (null) always last
+function compareDesc(a, b) {
+    return a === b ? 0 : a === null ? 1 : b === null ? -1 : a < b ? 1 : -1;
+}
+
+// Smallest first, with missing values (null) always last
+function compareAsc(a, b) {
+    return a === b ? 0 : a === null ? 1 : b === null ? -1 : a < b ? -1 : 1;
+}
+
+// minRating (the catalog's genre): "4★+" keeps films at least one friend
+// rated 4 stars or more, and only those friends. Each film's note lists who watched it and their rating.
+function applyFriendsExtras(films, extra) {
+    const minRating = parseFloat(extra?.minRating);
+    return films
+        .map(film => ({
+            ...film,
+            friends: minRating > 0 ? film.friends.filter(f => f.rating !== null && f.rating >= minRating) : film.friends,
+        }))
+        .filter(film => film.friends.length)
+        .map(film => ({
+            ...film,
+            note: film.friends.map(f => `${f.username} ${f.rating ? formatStars(f.rating) : '(watched)'}`).join(' · '),
+        }));
+}
+
+builder.defineCatalogHandler(async ({ type, id, extra, config }) => {
+    if (type !== 'movie') return { metas: [] };
 
     let films;
     try {
-        films = await getWatchlist(USERNAME);
+        films = await getCatalogFilms(id, config, extra);
     } catch (err) {
-        console.error('[catalog] Failed to fetch watchlist:', err.message);
+        console.error(`[catalog] Failed to fetch ${id}:`, err.message);
         return { metas: [] };
     }
+    if (!films) return { metas: [] };
 
     // Pagination via skip
     const skip = parseInt(extra?.skip || '0', 10);
-    const PAGE_SIZE = 100;
     const pageFilms = films.slice(skip, skip + PAGE_SIZE);
 
-    // Resolve IMDB IDs concurrently (5 at a time to avoid hammering Letterboxd)
-    const CONCURRENCY = 5;
-    const metas = [];
-
-    for (let i = 0; i < pageFilms.length; i += CONCURRENCY) {
-        const batch = pageFilms.slice(i, i + CONCURRENCY);
-        const results = await Promise.all(
-            batch.map(async (film) => {
-                try {
-                    const meta = await getFilmMeta(film.slug);
-                    if (!meta.imdbId) return null;
-                    // Cache the slug↔imdbId mapping so /rate works immediately
-                    imdbToSlugCache.set(meta.imdbId, film.slug);
-                    return {
-                        id: meta.imdbId,
-                        type: 'movie',
-                        name: film.title,
-                        // MetaHub is the standard Stremio poster CDN used by Cinemeta
-                        // and all major addons — serves proper portrait posters by IMDB ID
-                        poster: `https://images.metahub.space/poster/medium/${meta.imdbId}/img`,
-                        year: meta.year ? parseInt(meta.year) : undefined,
-                        description: meta.description,
-                    };
-                } catch {
-                    return null;
-                }
-            })
-        );
-        metas.push(...results.filter(Boolean));
-    }
-
-    console.log(`[catalog] Returning ${metas.length} films`);
+    // All at once: the request scheduler paces what actually goes to Letterboxd
+    const results = await Promise.all(pageFilms.map(async (film) => {
+        try {
+            const meta = await getFilmMeta(film.slug);
+            if (!meta.imdbId) return null;
+            // Cache the slug↔imdbId mapping so /rate works immediately
+            imdbToSlugCache.set(meta.imdbId, film.slug);
+            return {
+                id: meta.imdbId,
+                type: 'movie',
+                name: film.title,
+                // MetaHub is the standard Stremio poster CDN used by Cinemeta
+                // and all major addons — serves proper portrait posters by IMDB ID
+                poster: `https://images.metahub.space/poster/medium/${meta.imdbId}/img`,
+                year: meta.year ? parseInt(meta.year) : undefined,
+                // Some catalogs explain why a film is there (friends, recommendations)
+                description: [film.note, meta.description].filter(Boolean).join('\n\n') || undefined,
+            };
+        } catch {
+            return null;
+        }
+    }));
+    const metas = results.filter(Boolean);
+
+    console.log(`[catalog] Returning ${metas.length} films for ${id}`);
     return { metas };
 });
 
-// ── Stream handler (rating buttons) ──────────────────────────────────────────
+// ── Meta handler (Letterboxd details) ─────────────────────────────────────────
+// Works for any IMDb id, not just catalog films. Films the slug cache doesn't
+// know are resolved the same way /rate does it, in the config's own browser
+// context, so only configs with credentials do that — and only for
+// META_SLUG_TIMEOUT_MS: a slower lookup carries on in the background and the
+// next open finds it. Until then the answer is no meta (a 404), and Stremio
+// falls back to the next addon, usually Cinemeta.
+
+const META_SLUG_TIMEOUT_MS = 8000;
+
+builder.defineMetaHandler(async ({ type, id, config }) => {
+    if (type !== 'movie' || !id.startsWith('tt')) return { meta: null };
+
+    const credentials = getCredentials(config);
+    let slug = imdbToSlugCache.get(id);
+    if (!slug && credentials) slug = await withTimeout(resolveSlugFromImdb(id, config), META_SLUG_TIMEOUT_MS, null);
+    if (!slug) return { meta: null };
+
+    const [meta, histogram, reviews] = await Promise.all([
+        getFilmMeta(slug, config.options.country),
+        getRatingHistogram(slug),
+        getPopularReviews(slug),
+    ]);
+    // The page never waits for the browser: a rating no cache knows is
+    // fetched with getUserRating in the background, for the next open and
+    // the stream list
+    const myRating = cachedUserRating(config, id);
+    if (myRating === null && credentials) getUserRating(config.username, slug, credentials).catch(() => {});
+
+    const summary = [];
+    if (meta.averageRating) {
+        const count = meta.ratingCount ? ` (${meta.ratingCount.toLocaleString('en-US')} ratings)` : '';
+        summary.push(`Letterboxd: ★ ${Number(meta.averageRating).toFixed(2)}${count}`);
+    }
+    if (histogram.length) summary.push(`½ ${formatHistogram(histogram)} ★★★★★`);
+    if (myRating) summary.push(`Your rating: ${formatStars(myRating)}`);
+    const streaming = (meta.availability || []).filter(a => a.types.includes('stream')).map(a => a.service);
+    if (streaming.length) summary.push(`Where to watch (${config.options.country}): ${streaming.join(', ')}`);
+
+    const reviewLines = reviews.map(r =>
+        `“${truncate(r.text, 280)}” — ${r.author || 'Letterboxd member'}${r.rating ? ` ${formatStars(r.rating)}` : ''}`);
+
+    const description = [meta.description, summary.join('\n'), reviewLines.join('\n\n')]
+        .filter(Boolean)
+        .join('\n\n');
+
+    console.log(`[meta] ${id} → ${slug}`);
+    return {
+        meta: {
+            id,
+            type: 'movie',
+            name: meta.title || slug,
+            poster: `https://images.metahub.space/poster/medium/${id}/img`,
+            background: `https://images.metahub.space/background/medium/${id}/img`,
+            description,
+            year: meta.year ? parseInt(meta.year) : undefined,
+            releaseInfo: meta.year || undefined,
+            runtime: meta.runtime ? `${meta.runtime} min` : undefined,
+            genres: meta.genres,
+            director: meta.directors,
+            cast: meta.cast,
+            links: [
+                { name: 'Letterboxd', category: 'Letterboxd', url: `https://letterboxd.com/film/${slug}/` },
+                ...(meta.availability || []).map(a => ({ name: a.service, category: 'Where to watch', url: a.url })),
+            ],
+            behaviorHints: { defaultVideoId: id },
+        },
+    };
+});
+
+// ── Stream handler (rating, diary & watchlist buttons) ───────────────────────
 
 const STAR_OPTIONS = [
     { stars: '5',   label: '★★★★★  5 stars' },
@@ -105,20 +521,116 @@ const STAR_OPTIONS = [
     { stars: '0.5', label: '½      0.5 stars' },
 ];
 
-builder.defineStreamHandler(({ type, id }) => {
+// The user's current rating, from cache only: the per-film rating Puppeteer
+// already fetched, else the watched-films scrape (plain HTTP). A cold
+// watched cache is warmed in the background for the next request.
+function cachedUserRating(config, imdbId) {
+    const slug = imdbToSlugCache.get(imdbId);
+    if (!slug) return null;
+
+    const rating = getFromCache(`userrating:${config.username}:${slug}`);
+    if (rating !== null) return rating || null;
+
+    const watched = getFromCache(`watched:${config.username}`);
+    if (!watched) {
+        getWatched(config.username).catch(() => {});
+        return null;
+    }
+    return watched.find(f => f.slug === slug)?.rating ?? null;
+}
+
+// true / false from the cached watchlist, null when we can't tell
+function watchlistContains(config, imdbId) {
+    const slug = imdbToSlugCache.get(imdbId);
+    const watchlist = getFromCache(`watchlist:${config.username}`);
+    if (!slug || !watchlist) return null;
+    return watchlist.some(f => f.slug === slug);
+}
+
+// "Where to watch" info entries from the cached availability, or none yet.
+// A cold cache is filled in the background for the next request.
+function availabilityStreams(config, imdbId) {
+    const country = config.options.country;
+    const slug = imdbToSlugCache.get(imdbId);
+    if (!country || !slug) return [];
+
+    const availability = getFromCache(`avail:${country}:${slug}`);
+    if (!availability) {
+        getAvailability(slug, country).catch(() => {});
+        return [];
+    }
+    return availability.map(a => ({
+        name: 'Where to watch',
+        description: `${a.types.includes('stream') ? 'Available on' : 'Rent or buy on'} ${a.service}`,
+        externalUrl: a.url,
+    }));
+}
+
+builder.defineStreamHandler(({ type, id, config }) => {
     if (type !== 'movie') return Promise.resolve({ streams: [] });
 
-    console.log(`[stream] Rating streams requested for ${id}`);
+    // Where to watch goes above the buttons, and doesn't need an account
+    const streams = availabilityStreams(config, id);
+    if (!config.options.rating) return Promise.resolve({ streams });
+    if (!getCredentials(config)) {
+        // Installs of the bare manifest used to rate on the server's account;
+        // point them at /configure rather than dropping the buttons silently
+        if (!config.token && serverCredentials()) {
+            streams.push({ name: 'Letterboxd', description: '⚙  Rating moved: reinstall from /configure', externalUrl: `${publicBaseUrl()}/configure` });
+        }
+        return Promise.resolve({ streams });
+    }
 
-    let baseUrl = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
-    if (baseUrl && !baseUrl.startsWith('http')) baseUrl = `https://${baseUrl}`;
+    console.log(`[stream] Rating streams requested for ${id} (${config.username})`);
 
-    // Return rating buttons instantly — no async work, no Puppeteer, no timeouts.
-    const streams = STAR_OPTIONS.map(opt => ({
-        name: 'Rate on Letterboxd',
-        description: opt.label,
-        url: `${baseUrl}/rate/${encodeURIComponent(id)}/${encodeURIComponent(opt.stars)}`,
+    // Every action URL is signed, so only links we handed out can change the account
+    const baseUrl = publicBaseUrl();
+    const actionUrl = (path) => `${baseUrl}${signPath(configPath(config, path))}`;
+    const rateUrl = (stars) => actionUrl(`/rate/${encodeURIComponent(id)}/${encodeURIComponent(stars)}`);
+    const current = cachedUserRating(config, id);
+
+    // Return rating buttons instantly — no Puppeteer, no network, no timeouts.
+    streams.push(...STAR_OPTIONS.map(opt => {
+        const isCurrent = current === parseFloat(opt.stars);
+        return {
+            name: isCurrent ? '✓ Rated on Letterboxd' : 'Rate on Letterboxd',
+            description: isCurrent ? `${opt.label}  ✓ your rating` : opt.label,
+            url: rateUrl(opt.stars),
+        };
     }));
+    streams.push({
+        name: 'Rate on Letterboxd',
+        description: '✕      Remove rating',
+        url: rateUrl('0'),
+    });
+
+    const logUrl = (kind) => actionUrl(`/log/${encodeURIComponent(id)}/${kind}`);
+    streams.push(
+        { name: 'Log on Letterboxd', description: '👁  Mark watched today', url: logUrl('today') },
+        { name: 'Log on Letterboxd', description: '↻  Log as rewatch', url: logUrl('rewatch') },
+        {
+            name: 'Log on Letterboxd',
+            description: current ? `★  Log with ${formatStars(current)} today` : '★  Log with your rating today',
+            url: logUrl('rated'),
+        },
+    );
+
+    // Only offer the watchlist action that applies, when the cached watchlist
+    // tells us which one that is
+    const onWatchlist = watchlistContains(config, id);
+    if (onWatchlist !== true) {
+        streams.push({ name: 'Letterboxd', description: '＋  Add to watchlist', url: actionUrl(`/watchlist/${encodeURIComponent(id)}/add`) });
+    }
+    if (onWatchlist !== false) {
+        streams.push({ name: 'Letterboxd', description: '−  Remove from watchlist', url: actionUrl(`/watchlist/${encodeURIComponent(id)}/remove`) });
+    }
+    // Nothing caches whether the film is liked, so both like and unlike are
+    // offered, as the watchlist pair is when its cache is cold
+    streams.push(
+        { name: 'Letterboxd', description: '❤  Like', url: actionUrl(`/like/${encodeURIComponent(id)}`) },
+        { name: 'Letterboxd', description: '♡  Unlike', url: actionUrl(`/like/${encodeURIComponent(id)}/remove`) },
+    );
+    streams.push({ name: 'Review on Letterboxd', description: '✎  Write a review', externalUrl: actionUrl(`/review/${encodeURIComponent(id)}`) });
 
     return Promise.resolve({ streams });
 });
@@ -135,32 +647,137 @@ app.use((req, res, next) => {
     next();
 });
 
+// ── /configure ────────────────────────────────────────────────────────────────
+// Every addon route below is served both bare (the server's own account from
+// .env, read-only) and behind a per-user config segment:
+// /{config}/manifest.json. Rating on the server's account takes a token made
+// here with its password, or ADMIN_PASSWORD when it only has a cookie jar.
+
+app.get(['/', '/configure', '/:config/configure'], (req, res) => {
+    const config = req.params.config ? decodeConfig(req.params.config) : null;
+    res.type('html').send(configurePage({
+        canStorePassword: canEncrypt(),
+        serverUsername: serverCredentials()?.username,
+        adminLogin: !!process.env.ADMIN_PASSWORD,
+        username: config?.username,
+        lists: config?.lists,
+        country: config?.options.country,
+        services: config?.options.services,
+    }));
+});
+
+app.post('/configure', express.json(), (req, res) => {
+    const { username, password, options, lists = [] } = req.body || {};
+    // The server's account gets a grant, which needs no CONFIG_SECRET
+    const serverAccount = !!password && isServerAccountLogin(username, password);
+    if (password && !serverAccount && !canEncrypt()) {
+        return res.status(400).json({ error: 'This server has no CONFIG_SECRET, so only its own account can rate: other passwords cannot be stored.' });
+    }
+
+    const listRefs = (Array.isArray(lists) ? lists : String(lists).split('\n'))
+        .map(s => s.trim())
+        .filter(Boolean);
+    const parsedLists = listRefs.map(parseListRef);
+    const badList = listRefs.find((_, i) => !parsedLists[i]);
+    if (badList) return res.status(400).json({ error: `Not a Letterboxd list: ${badList}` });
+
+    let token;
+    try {
+        token = encodeConfig({
+            username,
+            password: password || null,
+            serverAccount,
+            options: {
+                rating: options?.rating !== false,
+                country: parseCountry(options?.country),
+                services: parseServices(options?.services),
+            },
+            lists: parsedLists,
+        });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    res.json({ manifestUrl: `${publicBaseUrl()}/${token}/manifest.json` });
+});
+
+// The server's account with its own password or ADMIN_PASSWORD
+function isServerAccountLogin(username, password) {
+    const server = serverCredentials();
+    if (!server || String(username).trim().toLowerCase() !== server.username) return false;
+    return [server.password, process.env.ADMIN_PASSWORD].some(expected => expected && sameSecret(password, expected));
+}
+
 // Manifest
-app.get('/manifest.json', (req, res) => {
-    res.json(manifest);
+app.get(['/manifest.json', '/:config/manifest.json'], (req, res) => {
+    const config = requestConfig(req);
+    if (!config) return res.status(400).json({ error: 'Invalid config' });
+    res.json(buildManifest(config));
 });
 
 // Catalog: GET /catalog/movie/letterboxd-watchlist.json
-app.get('/catalog/:type/:id.json', async (req, res) => {
+// Stremio sends extras as a path segment: /catalog/movie/{id}/skip=100&sort=My%20rating.json
+app.get([
+    '/catalog/:type/:id.json', '/catalog/:type/:id/:extra.json',
+    '/:config/catalog/:type/:id.json', '/:config/catalog/:type/:id/:extra.json',
+], async (req, res) => {
     const { type, id } = req.params;
-    const extra = {};
+    const config = requestConfig(req);
+    if (!config) return res.json({ metas: [] });
+    const extra = Object.fromEntries(new URLSearchParams(rawExtra(req)));
     if (req.query.skip) extra.skip = req.query.skip;
 
+    const done = metrics.catalogDuration.startTimer({ catalog: catalogLabel(id) });
     try {
-        const result = await addonInterface.get('catalog', type, id, extra);
+        const result = await addonInterface.get('catalog', type, id, extra, config);
         res.setHeader('Cache-Control', 'max-age=300, stale-while-revalidate=600');
         res.json(result);
     } catch (err) {
         console.error('[catalog route] error:', err.message);
         res.json({ metas: [] });
+    } finally {
+        done();
+    }
+});
+
+// The extra segment as Stremio sent it. req.params.extra is already decoded,
+// so parsing it would split "search=Fast%20%26%20Furious" at the "&"
+function rawExtra(req) {
+    if (req.params.extra === undefined) return '';
+    return req.path.slice(req.path.lastIndexOf('/') + 1).replace(/\.json$/, '');
+}
+
+// Catalog id for /metrics: every list catalog counts as one, and ids that
+// aren't ours are lumped together
+function catalogLabel(id) {
+    if (id.startsWith(LIST_CATALOG_PREFIX)) return 'letterboxd-list';
+    if (id === SERVICES_CATALOG.id) return id;
+    return manifest.catalogs.some(c => c.id === id) ? id : 'other';
+}
+
+// Meta: GET /meta/movie/tt1234567.json
+// A 404 lets Stremio fall back to the next addon (usually Cinemeta).
+app.get(['/meta/:type/:id.json', '/:config/meta/:type/:id.json'], async (req, res) => {
+    const { type, id } = req.params;
+    const config = requestConfig(req);
+    if (!config) return res.status(404).json({ meta: null });
+    try {
+        const result = await addonInterface.get('meta', type, id, {}, config);
+        if (!result.meta) return res.status(404).json({ meta: null });
+        res.setHeader('Cache-Control', 'max-age=3600, stale-while-revalidate=86400');
+        res.json(result);
+    } catch (err) {
+        console.error('[meta route] error:', err.message);
+        res.status(404).json({ meta: null });
     }
 });
 
 // Stream: GET /stream/movie/tt1234567.json
-app.get('/stream/:type/:id.json', async (req, res) => {
+app.get(['/stream/:type/:id.json', '/:config/stream/:type/:id.json'], async (req, res) => {
     const { type, id } = req.params;
+    const config = requestConfig(req);
+    if (!config) return res.json({ streams: [] });
     try {
-        const result = await addonInterface.get('stream', type, id, {});
+        const result = await addonInterface.get('stream', type, id, {}, config);
         res.json(result);
     } catch (err) {
         console.error('[stream route] error:', err.message);
@@ -168,31 +785,205 @@ app.get('/stream/:type/:id.json', async (req, res) => {
     }
 });
 
-// ── /rate endpoint ────────────────────────────────────────────────────────────
-// Stremio "plays" this URL when the user selects a rating.
-// We do the rating, then return a minimal M3U8 so Stremio closes cleanly.
+// ── Film action endpoints (/rate, /log, /watchlist, /like) ───────────────────
+// Stremio "plays" these URLs when the user picks an action.
+// We queue the action, then return a minimal M3U8 so Stremio closes cleanly.
+// Only signed URLs from the stream handler are accepted (see signing.js).
+
+app.get(['/rate/:imdbId/:stars', '/:config/rate/:imdbId/:stars'], requireSignature, (req, res) => {
+    const { stars } = req.params;
+    queueFilmAction(req, res, `rate:${stars}`, { type: 'rate', stars });
+});
+
+// kind: "today" (mark watched), "rewatch", or "rated" (with the current rating)
+const LOG_KINDS = ['today', 'rewatch', 'rated'];
+
+app.get(['/log/:imdbId/:kind', '/:config/log/:imdbId/:kind'], requireSignature, (req, res) => {
+    const { kind } = req.params;
+    if (!LOG_KINDS.includes(kind)) return serveM3U8(res);
+    // The watched date is fixed when the user asks, not when the job runs
+    const entry = { date: localDate(), rewatch: kind === 'rewatch', withRating: kind === 'rated' };
+    queueFilmAction(req, res, `log:${kind}`, { type: 'log', entry });
+});
+
+app.get(['/watchlist/:imdbId/:op', '/:config/watchlist/:imdbId/:op'], requireSignature, (req, res) => {
+    const { op } = req.params;
+    if (op !== 'add' && op !== 'remove') return serveM3U8(res);
+    queueFilmAction(req, res, `watchlist:${op}`, { type: 'watchlist', add: op === 'add' });
+});
+
+app.get(['/like/:imdbId', '/:config/like/:imdbId'], requireSignature, (req, res) => {
+    queueFilmAction(req, res, 'like', { type: 'like', liked: true });
+});
+
+app.get(['/like/:imdbId/remove', '/:config/like/:imdbId/remove'], requireSignature, (req, res) => {
+    queueFilmAction(req, res, 'like:remove', { type: 'like', liked: false });
+});
 
-app.get('/rate/:imdbId/:stars', (req, res) => {
-    const { imdbId, stars } = req.params;
-    console.log(`[rate] ${imdbId} → ${stars} stars`);
+// Answers Stremio immediately, then dedupes and queues `job` on the user's
+// account. The slug is resolved when the job runs, so that step is retried
+// (and survives a restart) along with the action itself.
+function queueFilmAction(req, res, actionKey, job) {
+    const { imdbId } = req.params;
 
     // Respond immediately so Stremio closes the popup right away.
     serveM3U8(res);
 
-    if (!hasSession()) {
-        console.error('[rate] No session cookies set in .env');
+    const config = requestConfig(req);
+    if (!config) return;
+    console.log(`[action] ${config.username}: ${imdbId} → ${actionKey}`);
+
+    const credentials = getCredentials(config);
+    if (!credentials || !hasSession(credentials)) {
+        console.error(`[action] No credentials for ${config.username}`);
         return;
     }
 
-    // Deduplicate — Android TV fires the same request 3-4x simultaneously
-    if (!deduplicateRating(imdbId, stars)) return;
+    // Deduplicate — Android TV fires the same request 3-4x simultaneously.
+    // The key leaves out the signature, so replays of one signed URL collapse.
+    if (!acceptOnce(`${config.username}:${imdbId}:${actionKey}`)) return;
+
+    enqueueJob({ ...job, imdbId, username: config.username, configToken: config.token });
+}
+
+// ── /review page ──────────────────────────────────────────────────────────────
+// Opened in the browser from the "Write review" entry. Unlike the other
+// actions it isn't queued: the form waits for Letterboxd's answer and shows
+// it, keeping what was typed if it needs another try.
+
+const REVIEW_PATHS = ['/review/:imdbId', '/:config/review/:imdbId'];
+
+app.get(REVIEW_PATHS, requireSignature, async (req, res) => {
+    const film = await reviewFilm(req);
+    if (!film) return res.status(404).type('html').send(errorPage('Film not found on Letterboxd.'));
+
+    const values = { date: localDate(), stars: cachedUserRating(film.config, req.params.imdbId) || '' };
+    res.type('html').send(reviewPage({ film, action: req.originalUrl, values }));
+});
+
+app.post(REVIEW_PATHS, express.urlencoded({ extended: false }), requireSignature, async (req, res) => {
+    const film = await reviewFilm(req);
+    if (!film) return res.status(404).type('html').send(errorPage('Film not found on Letterboxd.'));
+
+    const values = {
+        review: String(req.body?.review || '').trim(),
+        spoilers: !!req.body?.spoilers,
+        stars: req.body?.stars || '',
+        date: String(req.body?.date || ''),
+    };
+    const render = (message) => res.type('html').send(reviewPage({ film, action: req.originalUrl, values, message }));
+
+    const credentials = getCredentials(film.config);
+    if (!credentials || !hasSession(credentials)) return render({ ok: false, text: 'No Letterboxd login is set up for this account.' });
+    if (!values.review) return render({ ok: false, text: 'The review is empty.' });
+    if (!acceptOnce(`${film.config.username}:${req.params.imdbId}:review`)) {
+        return render({ ok: false, text: 'This review was just submitted — check Letterboxd before sending it again.' });
+    }
 
-    // Resolve slug then enqueue (one Puppeteer page at a time)
-    resolveSlugFromImdb(imdbId).then(slug => {
-        if (!slug) { console.error(`[rate] Could not resolve slug for ${imdbId}`); return; }
-        enqueueRating(slug, stars);
-    }).catch(err => {
-        console.error(`[rate] Slug resolve error:`, err.message);
+    console.log(`[review] ${film.config.username}: ${req.params.imdbId} → ${film.slug}`);
+    const result = await logDiaryEntry(film.slug, {
+        date: values.date,
+        stars: values.stars || null,
+        review: values.review,
+        spoilers: values.spoilers,
+    }, credentials);
+
+    console.log(`[review] ${film.config.username}/${film.slug}: ${result.success ? 'OK' : `FAILED: ${result.error}`}`);
+    render(result.success
+        ? { ok: true, text: 'Your review is on Letterboxd.' }
+        : { ok: false, text: `Letterboxd didn't take the review: ${result.error}` });
+});
+
+// The film a /review request is about: { config, slug, title, year, poster, url }, or null
+async function reviewFilm(req) {
+    const config = requestConfig(req);
+    if (!config) return null;
+    const slug = await resolveSlugFromImdb(req.params.imdbId, config);
+    if (!slug) return null;
+    const meta = await getFilmMeta(slug);
+    return {
+        config,
+        slug,
+        title: meta.title || slug,
+        year: meta.year,
+        poster: meta.poster || `https://images.metahub.space/poster/medium/${req.params.imdbId}/img`,
+        url: `https://letterboxd.com/film/${slug}/`,
+    };
+}
+
+// ── /import ───────────────────────────────────────────────────────────────────
+// POST a Letterboxd, IMDb or Trakt CSV export as the request body:
+//   curl -u user:password --data-binary @ratings.csv https://…/import?dryRun=1
+// dryRun=1 answers with a report and queues nothing. kind=ratings|watchlist
+// overrides what the file's columns suggest. GET lists the account's imports.
+// Thousands of jobs are too many for a URL anyone could find, so these routes
+// take the account's own Letterboxd password (HTTP Basic) instead.
+
+app.post(['/import', '/:config/import'], requireAccountPassword, express.text({ type: () => true, limit: '20mb' }), (req, res) => {
+    let plan;
+    try {
+        plan = planImport(req.body, req.query.kind);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (req.query.dryRun === '1' || req.query.dryRun === 'true') return res.json(dryRunReport(plan));
+
+    const { config } = res.locals;
+    res.json(createImport(plan, req.body, { username: config.username, configToken: config.token }));
+});
+
+app.get(['/import', '/:config/import'], requireAccountPassword, (req, res) => {
+    res.json(listImports(res.locals.config.username));
+});
+
+const VERIFY_LOGIN_TIMEOUT_MS = 90 * 1000;
+
+// Checks HTTP Basic credentials against the account's Letterboxd login: the
+// config's password, once Letterboxd has accepted it (see verifyCredentials).
+// When Letterboxd couldn't be asked the answer is 503, not a wrong password.
+// Puts the request's config in res.locals.config.
+async function requireAccountPassword(req, res, next) {
+    const config = requestConfig(req);
+    if (!config) return res.status(400).json({ error: 'Invalid config' });
+    const credentials = getCredentials(config);
+    const expected = credentials?.password;
+
+    const { user, password } = basicAuth(req);
+    const matches = expected && user?.toLowerCase() === config.username && sameSecret(password, expected);
+    let verified = false;
+    if (matches) {
+        try {
+            verified = await withTimeout(verifyCredentials(credentials), VERIFY_LOGIN_TIMEOUT_MS, null);
+        } catch (err) {
+            console.error(`[auth] Could not check the login for ${config.username}:`, err.message);
+            verified = null;
+        }
+        if (verified === null) {
+            return res.status(503).json({ error: 'Could not check the password with Letterboxd, try again later' });
+        }
+    }
+    if (!verified) {
+        res.setHeader('WWW-Authenticate', 'Basic realm="Letterboxio"');
+        const error = !expected ? 'This account has no password set'
+            : matches ? 'Letterboxd did not accept this password'
+                : 'Letterboxd username and password required';
+        return res.status(401).json({ error });
+    }
+    res.locals.config = config;
+    next();
+}
+
+// ── /export ───────────────────────────────────────────────────────────────────
+// /export/ratings.csv, /export/diary.json, /export/watchlist.csv, … for the
+// config's account. Built from public pages, like the catalogs.
+
+app.get(['/export/:name.:format', '/:config/export/:name.:format'], (req, res) => {
+    const config = requestConfig(req);
+    if (!config) return res.status(400).json({ error: 'Invalid config' });
+    streamExport(res, config.username, req.params.name, req.params.format).catch(err => {
+        console.error('[export] Failed:', err.message);
+        if (!res.headersSent) res.status(500).json({ error: err.message });
+        else res.end();
     });
 });
 
@@ -202,72 +993,235 @@ app.get('/noop', (req, res) => {
     serveM3U8(res);
 });
 
-// ── Rating deduplication & queue ──────────────────────────────────────────────
-// Android TV fires the same rating request 3-4 times simultaneously.
-// We deduplicate by ignoring requests for the same film within 5 seconds,
-// and queue rating jobs so only one Puppeteer page runs at a time.
+// ── /jobs endpoint ────────────────────────────────────────────────────────────
+// Queued, finished and failed film actions for the user, with their errors.
+// Behind the account's Letterboxd password, like /import.
 
-const recentRatings = new Map(); // imdbId → timestamp of last accepted rating
-const ratingQueue = [];          // pending { slug, stars } jobs
-let ratingRunning = false;
+app.get(['/jobs', '/:config/jobs'], requireAccountPassword, (req, res) => {
+    res.json(listJobs(res.locals.config.username));
+});
 
-function deduplicateRating(imdbId, stars) {
-    const key = `${imdbId}:${stars}`;
-    const last = recentRatings.get(key);
-    if (last && Date.now() - last < 5000) {
-        console.log(`[rate] Duplicate ignored for ${key}`);
-        return false; // duplicate
-    }
-    recentRatings.set(key, Date.now());
-    return true;
-}
+// Browser state for health checks — no usernames or tokens
+app.get('/status', (req, res) => {
+    res.json({ browser: browserStatus() });
+});
 
-function enqueueRating(slug, stars) {
-    ratingQueue.push({ slug, stars });
-    if (!ratingRunning) processRatingQueue();
-}
+// ── /health, /ready, /metrics ─────────────────────────────────────────────────
+// /health only says the process is serving requests: use it for the
+// platform's health check (Railway's healthcheckPath). /ready also has the
+// server's account load a Letterboxd page that needs a login in its browser
+// context, which launches Chromium when it's idle — so its answer is kept for
+// READY_CACHE_SECONDS, and it shouldn't be polled every few seconds.
+
+const READY_TIMEOUT_MS = 60 * 1000;
+const READY_CACHE_MS = (parseFloat(process.env.READY_CACHE_SECONDS) || 60) * 1000;
+let lastReadiness = null; // { at, result: promise of { ready, body } }, shared by concurrent requests
+
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+app.get('/ready', async (req, res) => {
+    if (!lastReadiness || Date.now() - lastReadiness.at > READY_CACHE_MS) {
+        lastReadiness = { at: Date.now(), result: readiness() };
+    }
+    const { ready, body } = await lastReadiness.result;
+    res.status(ready ? 200 : 503).json(body);
+});
 
-async function processRatingQueue() {
-    if (ratingQueue.length === 0) { ratingRunning = false; return; }
-    ratingRunning = true;
-    const { slug, stars } = ratingQueue.shift();
+async function readiness() {
+    const timedOut = { loggedIn: false, error: 'Timed out checking the Letterboxd session' };
     try {
-        const result = await rateFilm(slug, stars);
-        console.log(`[rate] ${result.success ? 'OK' : 'FAILED: ' + result.error}`);
+        const session = await withTimeout(checkSession(), READY_TIMEOUT_MS, timedOut);
+        if (session.error) return { ready: false, body: { status: 'not ready', error: session.error } };
+        if (!session.loggedIn) return { ready: false, body: { status: 'not ready', error: 'Not logged in to Letterboxd' } };
+        return { ready: true, body: { status: 'ready' } };
     } catch (err) {
-        console.error(`[rate] Queue error:`, err.message);
+        return { ready: false, body: { status: 'not ready', error: err.message } };
     }
-    processRatingQueue(); // process next
 }
 
-// ── Slug resolution ───────────────────────────────────────────────────────────
+// Queue depth by status, read when /metrics is scraped
+metrics.gauge('letterboxio_jobs', 'Film action jobs in the queue by status', ['status'], () => {
+    const { pending, failed } = listJobs();
+    return [
+        { labels: { status: 'pending' }, value: pending.filter(j => j.status === 'pending').length },
+        { labels: { status: 'running' }, value: pending.filter(j => j.status === 'running').length },
+        { labels: { status: 'failed' }, value: failed.length },
+    ];
+});
 
-const imdbToSlugCache = new Map();
+app.get('/metrics', (req, res) => {
+    res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
 
-async function resolveSlugFromImdb(imdbId) {
-    if (imdbToSlugCache.has(imdbId)) return imdbToSlugCache.get(imdbId);
+// ── /admin ────────────────────────────────────────────────────────────────────
+// Queue, cache and login state for whoever runs the server, behind
+// ADMIN_PASSWORD (HTTP Basic, any username). Without it the routes don't
+// exist. /admin is the page; /admin/api/status is the same data as JSON and
+// POST /admin/api/{action} runs one of ADMIN_ACTIONS.
 
-    // Search watchlist cache (slug cache is pre-warmed at startup)
-    try {
-        const watchlist = await getWatchlist(USERNAME);
-        for (const film of watchlist) {
-            const meta = await getFilmMeta(film.slug);
-            if (meta.imdbId === imdbId) {
-                imdbToSlugCache.set(imdbId, film.slug);
-                return film.slug;
-            }
-        }
-    } catch {}
+const RECENT_JOBS = 20;
+
+function requireAdmin(req, res, next) {
+    const expected = process.env.ADMIN_PASSWORD;
+    if (!expected) return res.status(404).json({ error: 'Not found' });
+    if (!sameSecret(basicAuth(req).password, expected)) {
+        res.setHeader('WWW-Authenticate', 'Basic realm="Letterboxio admin"');
+        return res.status(401).json({ error: 'Admin password required' });
+    }
+    // The browser replays Basic credentials on any site's form POST
+    if (req.method === 'POST' && ['cross-site', 'same-site'].includes(req.headers['sec-fetch-site'])) {
+        return res.status(403).json({ error: 'Cross-site request' });
+    }
+    next();
+}
+
+function adminState() {
+    const jobs = listJobs();
+    return {
+        browser: browserStatus(),
+        scheduler: schedulerStatus(),
+        sessions: sessionStatus(),
+        cache: cache.stats(),
+        jobs: { ...jobs, succeeded: jobs.succeeded.slice(0, RECENT_JOBS) },
+    };
+}
+
+// Each returns a line for the page / the JSON answer
+const ADMIN_ACTIONS = {
+    'flush-watchlist': () => `Flushed ${cache.clearNamespace('watchlist')} cached watchlist page(s)`,
+    'retry-failed': () => `Queued ${retryFailed()} failed job(s) again`,
+    relogin: (body) => {
+        const usernames = body.username
+            ? [body.username]
+            : [...new Set([defaultConfig().username, ...sessionStatus().map(s => s.username)])];
+        usernames.forEach(forceRelogin);
+        return `Next action logs in again: ${usernames.join(', ')}`;
+    },
+};
+
+app.get('/admin', requireAdmin, (req, res) => {
+    res.type('html').send(adminPage(adminState(), req.query.message));
+});
+
+app.get('/admin/api/status', requireAdmin, (req, res) => {
+    res.json(adminState());
+});
+
+app.post('/admin/api/:action', requireAdmin, express.urlencoded({ extended: false }), (req, res) => {
+    const action = ADMIN_ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ error: 'Unknown action' });
+    const message = action(req.body || {});
+    console.log(`[admin] ${req.params.action}: ${message}`);
+    if (req.accepts(['json', 'html']) === 'html') return res.redirect(303, `/admin?message=${encodeURIComponent(message)}`);
+    res.json({ success: true, message });
+});
+
+// ── Job runners ───────────────────────────────────────────────────────────────
+// The durable queue in jobs.js runs one job at a time (one Puppeteer page).
+
+const JOB_RUNNERS = {
+    rate: (job, slug, credentials) => rateFilm(slug, job.stars, credentials),
+    log: (job, slug, credentials) => logDiaryEntry(slug, job.entry, credentials),
+    watchlist: (job, slug, credentials) => setWatchlisted(slug, job.add, credentials),
+    // Jobs queued before `liked` was recorded were all likes
+    like: (job, slug, credentials) => setLiked(slug, job.liked !== false, credentials),
+};
 
-    // Not in watchlist — fall back to Puppeteer which bypasses Cloudflare.
-    // Letterboxd redirects /film/imdb/{imdbId}/ to the correct film page.
-    const slug = await resolveSlugFromImdbViaPuppeteer(imdbId);
-    if (slug) imdbToSlugCache.set(imdbId, slug);
-    return slug;
+async function runJob(job) {
+    const config = job.configToken ? decodeConfig(job.configToken) : defaultConfig();
+    const credentials = config && getCredentials(config);
+    if (!credentials) return { success: false, error: `No credentials for ${job.username}`, retryable: false };
+
+    // Imported Letterboxd rows carry a film link instead of an IMDb id
+    const slug = job.uri ? await resolveLetterboxdUri(job.uri) : await resolveSlugFromImdb(job.imdbId, config);
+    if (!slug) return { success: false, error: `Could not resolve slug for ${job.imdbId || job.uri}`, retryable: true };
+    job.slug = slug;
+
+    return JOB_RUNNERS[job.type](job, slug, credentials);
+}
+
+// ── Slug resolution ───────────────────────────────────────────────────────────
+
+// IMDb id → Letterboxd slug. Kept in the cache's permanent `slug` namespace,
+// so it survives restarts.
+const imdbToSlugCache = {
+    get: imdbId => cache.get(`slug:${imdbId}`),
+    set: (imdbId, slug) => cache.set(`slug:${imdbId}`, slug),
+};
+
+// Looked up in the browser with the config's account when it isn't known;
+// without credentials only the cache answers
+async function resolveSlugFromImdb(imdbId, config) {
+    return resolveSlug(imdbId, getCredentials(config));
 }
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
+// Resolves to `fallback` if the promise takes longer than `ms`.
+function withTimeout(promise, ms, fallback) {
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(fallback), ms); });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// { user, password } from an HTTP Basic Authorization header, or {}
+function basicAuth(req) {
+    const [scheme, encoded] = String(req.headers.authorization || '').split(' ');
+    if (scheme !== 'Basic') return {};
+    const [user, ...rest] = Buffer.from(encoded || '', 'base64').toString('utf8').split(':');
+    return { user, password: rest.join(':') };
+}
+
+// Constant-time comparison of a given secret against the expected one
+function sameSecret(given, expected) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return given !== undefined && crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// 3.5 → "★★★½"
+function formatStars(stars) {
+    return '★'.repeat(Math.floor(stars)) + (stars % 1 ? '½' : '');
+}
+
+// Ten histogram bars as a one-line sparkline
+function formatHistogram(histogram) {
+    const bars = '▁▂▃▄▅▆▇█';
+    const max = Math.max(...histogram.map(h => h.count), 1);
+    return histogram.map(h => bars[Math.round((h.count / max) * (bars.length - 1))]).join('');
+}
+
+// Today as YYYY-MM-DD in the server's timezone (set TZ to match the user)
+function localDate() {
+    return new Date().toLocaleDateString('en-CA');
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+function publicBaseUrl() {
+    let baseUrl = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+    if (baseUrl && !baseUrl.startsWith('http')) baseUrl = `https://${baseUrl}`;
+    return baseUrl;
+}
+
+// Config for a request: decoded from the /{config}/ segment, or the server's
+// default account for the bare routes. null when the segment is unreadable.
+function requestConfig(req) {
+    const token = req.params.config;
+    if (!token) return { ...defaultConfig(), token: null };
+    const config = decodeConfig(token);
+    return config ? { ...config, token } : null;
+}
+
+// Prefixes a route with the user's config segment so follow-up requests
+// (e.g. /rate) are scoped to the same user.
+function configPath(config, path) {
+    return config.token ? `/${config.token}${path}` : path;
+}
+
 function serveM3U8(res) {
     res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
     res.send('#EXTM3U\n#EXT-X-ENDLIST\n');
@@ -275,12 +1229,31 @@ function serveM3U8(res) {
 
 // ── Start ─────────────────────────────────────────────────────────────────────
 
+startJobQueue(runJob);
+startImports();
+
 app.listen(PORT, () => {
     console.log(`\nLetterboxio addon running!`);
+    console.log(`Configure: http://localhost:${PORT}/configure`);
     console.log(`Add to Stremio: http://localhost:${PORT}/manifest.json\n`);
-    console.log(`Letterboxd user: ${USERNAME}`);
-    console.log(`Session cookies: ${hasSession() ? 'YES' : 'NO — rating will not work'}\n`);
+    console.log(`Default Letterboxd user: ${defaultConfig().username}`);
+    const server = serverCredentials();
+    if (!server || !hasSession(server)) {
+        console.log('Rating on the server account: NO — set LETTERBOXD_PASSWORD or LETTERBOXD_COOKIES');
+    } else {
+        // The bare /manifest.json is read-only: installs from before that have to be redone
+        console.log(`Rating on ${server.username}: install from /configure with its password${process.env.ADMIN_PASSWORD ? ' or ADMIN_PASSWORD' : ''} (the bare /manifest.json is read-only)`);
+        if (!hasStableGrantKey()) console.warn('  Set CONFIG_SECRET or ACTION_SECRET, or those install URLs stop working after a restart');
+    }
+    console.log(`Per-user passwords: ${canEncrypt() ? 'YES' : 'NO — set CONFIG_SECRET to allow'}\n`);
 
     // Slug cache is populated on-demand as the catalog is browsed.
     // No startup pre-warming — it competed with Puppeteer for memory.
 });
+
+// Railway sends SIGTERM on redeploy — write the cache out before exiting
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+        cache.flush().finally(() => process.exit(0));
+    });
+}
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// ── Signed action URLs ────────────────────────────────────────────────────────
+// /rate, /log, /watchlist and /like change things on a Letterboxd account
+// from a plain GET, so the stream handler signs every action URL it hands
+// out: ?exp={unix seconds}&sig={HMAC-SHA256 of path and exp}. The routes
+// reject anything unsigned, tampered with or expired. The config segment is
+// part of the signed path, so a signature can't be moved to another account.
+//
+// The key is ACTION_SECRET, or CONFIG_SECRET when that's all that's set.
+// Without either, a random key is made at startup: URLs still work, but only
+// until the next restart.
+
+const TTL_MS = (parseFloat(process.env.ACTION_URL_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+let ephemeralKey = null;
+
+function getKey() {
+    const secret = process.env.ACTION_SECRET || process.env.CONFIG_SECRET;
+    if (secret) return crypto.createHash('sha256').update(`action-url:${secret}`).digest();
+    if (!ephemeralKey) {
+        ephemeralKey = crypto.randomBytes(32);
+        console.warn('[signing] No ACTION_SECRET or CONFIG_SECRET set — action URLs stop working after a restart');
+    }
+    return ephemeralKey;
+}
+
+function signature(path, exp) {
+    return crypto.createHmac('sha256', getKey()).update(`${path}\n${exp}`).digest('base64url');
+}
+
+// "/token/rate/tt0086250/4" → "/token/rate/tt0086250/4?exp=…&sig=…"
+function signPath(path, ttlMs = TTL_MS) {
+    const exp = Math.floor((Date.now() + ttlMs) / 1000);
+    return `${path}?exp=${exp}&sig=${signature(path, exp)}`;
+}
+
+// Why a request's signature doesn't hold, or null when it does
+function verifyPath(path, exp, sig) {
+    if (!exp || !sig) return 'unsigned';
+    if (!/^\d+$/.test(String(exp))) return 'bad signature';
+    const expected = Buffer.from(signature(path, exp));
+    const given = Buffer.from(String(sig));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'bad signature';
+    if (Number(exp) * 1000 < Date.now()) return 'expired';
+    return null;
+}
+
+// "rate tt0086250" for a request to /{config}/rate/tt0086250/4. The config
+// token is a credential, so it stays out of the logs.
+function routeLabel(req) {
+    const kind = req.path.split('/').filter(Boolean)[req.params.config ? 1 : 0];
+    return [kind, req.params.imdbId].filter(Boolean).join(' ');
+}
+
+// Express middleware for the mutating routes
+function requireSignature(req, res, next) {
+    const problem = verifyPath(req.path, req.query.exp, req.query.sig);
+    if (!problem) return next();
+    console.warn(`[signing] Rejected ${routeLabel(req)}: ${problem}`);
+    res.status(403).json({ error: `Action URL ${problem}` });
+}
+
+module.exports = { signPath, verifyPath, requireSignature };
@@ -0,0 +1,147 @@
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ── CLI tests ─────────────────────────────────────────────────────────────────
+// Usage errors and exit codes: everything the CLI decides before it talks
+// to Letterboxd. No account is set up, so nothing here reaches the network;
+// the login-check tests set one and answer checkSession themselves.
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'letterboxio-cli-test-'));
+process.env.CACHE_STORE = 'memory';
+for (const name of ['LETTERBOXD_USERNAME', 'LETTERBOXD_PASSWORD', 'LETTERBOXD_COOKIES']) delete process.env[name];
+
+let cli;
+let output;
+let checkSession; // what letterboxd.checkSession does in a test
+
+before(() => {
+    // Replaced before cli.js takes its own reference to it
+    mock.method(require('../letterboxd'), 'checkSession', (...args) => checkSession(...args));
+    cli = require('../cli');
+});
+
+// What the command printed: { stdout, stderr }
+beforeEach((t) => {
+    output = { stdout: '', stderr: '' };
+    t.mock.method(console, 'log', (...args) => { output.stdout += args.join(' ') + '\n'; });
+    t.mock.method(console, 'error', (...args) => { output.stderr += args.join(' ') + '\n'; });
+});
+
+after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('exitCodeFor', () => {
+    test('uses the exit code the command gave', () => {
+        assert.equal(cli.exitCodeFor(Object.assign(new Error('x'), { exitCode: cli.EXIT.USAGE })), cli.EXIT.USAGE);
+    });
+
+    test('a 404 from Letterboxd is a failure', () => {
+        assert.equal(cli.exitCodeFor(Object.assign(new Error('x'), { response: { status: 404 } })), cli.EXIT.FAILED);
+    });
+
+    test('rate limits, server errors and network errors are worth retrying', () => {
+        for (const status of [403, 429, 503]) {
+            assert.equal(cli.exitCodeFor(Object.assign(new Error('x'), { response: { status } })), cli.EXIT.UNAVAILABLE);
+        }
+        assert.equal(cli.exitCodeFor(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), cli.EXIT.UNAVAILABLE);
+        assert.equal(cli.exitCodeFor(Object.assign(new Error('stopped'), { code: 'LETTERBOXD_UNAVAILABLE' })), cli.EXIT.UNAVAILABLE);
+    });
+});
+
+describe('actionExitCode', () => {
+    test('login and sign-in failures mean not logged in', () => {
+        for (const error of [
+            'Login failed — still on sign-in page. Check credentials in .env.',
+            'Redirected to sign-in — session expired',
+            'Saved session for bob is no longer valid and no password is set — sign in again',
+            'Could not find rating widget — may not be logged in',
+        ]) {
+            assert.equal(cli.actionExitCode({ success: false, error, retryable: true }), cli.EXIT.NOT_LOGGED_IN, error);
+        }
+    });
+
+    test('other failures follow retryable', () => {
+        assert.equal(cli.actionExitCode({ success: false, error: 'HTTP 429: slow down', retryable: true }), cli.EXIT.UNAVAILABLE);
+        assert.equal(cli.actionExitCode({ success: false, error: 'Unexpected response: {}', retryable: false }), cli.EXIT.FAILED);
+    });
+});
+
+describe('main', () => {
+    test('help prints the usage to stdout', async () => {
+        assert.equal(await cli.main(['help']), cli.EXIT.OK);
+        assert.equal(output.stdout.trim(), cli.USAGE);
+    });
+
+    test('no command or an unknown one is a usage error', async () => {
+        for (const argv of [[], ['frobnicate'], ['toString']]) {
+            assert.equal(await cli.main(argv), cli.EXIT.USAGE, JSON.stringify(argv));
+        }
+        assert.match(output.stderr, /^Usage: letterboxio/);
+    });
+
+    test('rate needs a film and a star rating in ½-star steps', async () => {
+        for (const argv of [['rate'], ['rate', 'alien'], ['rate', 'alien', '6'], ['rate', 'alien', '3.25']]) {
+            assert.equal(await cli.main(argv), cli.EXIT.USAGE, JSON.stringify(argv));
+        }
+    });
+
+    test('watchlist needs a valid username', async () => {
+        assert.equal(await cli.main(['watchlist']), cli.EXIT.USAGE);
+        assert.equal(await cli.main(['watchlist', 'no/such user']), cli.EXIT.USAGE);
+    });
+
+    test('resolve needs an IMDb id', async () => {
+        assert.equal(await cli.main(['resolve']), cli.EXIT.USAGE);
+        assert.equal(await cli.main(['resolve', 'alien']), cli.EXIT.USAGE);
+    });
+
+    test('without an account, rate and login-check exit 3', async () => {
+        assert.equal(await cli.main(['rate', 'alien', '4']), cli.EXIT.NOT_LOGGED_IN);
+        assert.equal(await cli.main(['login-check']), cli.EXIT.NOT_LOGGED_IN);
+        assert.match(output.stderr, /LETTERBOXD_USERNAME/);
+    });
+
+    test('without an account, resolve only answers from the slug cache', async () => {
+        assert.equal(await cli.main(['resolve', 'tt0000001']), cli.EXIT.NOT_LOGGED_IN);
+        assert.match(output.stderr, /not in the slug cache/);
+
+        require('../cache').set('slug:tt0078748', 'alien');
+        assert.equal(await cli.main(['resolve', 'tt0078748']), cli.EXIT.OK);
+        assert.equal(output.stdout.trim(), 'alien');
+    });
+});
+
+describe('login-check', () => {
+    // An account for the test, as the server's .env would set it
+    beforeEach((t) => {
+        process.env.LETTERBOXD_USERNAME = 'bob';
+        process.env.LETTERBOXD_PASSWORD = 'hunter2';
+        t.after(() => {
+            delete process.env.LETTERBOXD_USERNAME;
+            delete process.env.LETTERBOXD_PASSWORD;
+        });
+    });
+
+    test('exits 0 when Letterboxd shows the account signed in', async () => {
+        checkSession = async ({ username }) => ({ username, loggedIn: true });
+        assert.equal(await cli.main(['login-check']), cli.EXIT.OK);
+        assert.match(output.stderr, /Logged in as bob/);
+    });
+
+    test('exits 3 when Letterboxd shows the account signed out', async () => {
+        checkSession = async ({ username }) => ({ username, loggedIn: false });
+        assert.equal(await cli.main(['login-check']), cli.EXIT.NOT_LOGGED_IN);
+        assert.match(output.stderr, /bob signed out/);
+    });
+
+    test('a rejected login exits 3, a browser that won\'t start exits 4', async () => {
+        checkSession = async () => { throw new Error('Login failed — still on sign-in page. Check credentials in .env.'); };
+        assert.equal(await cli.main(['login-check']), cli.EXIT.NOT_LOGGED_IN);
+        checkSession = async () => { throw new Error('Could not find Chrome'); };
+        assert.equal(await cli.main(['login-check']), cli.EXIT.UNAVAILABLE);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ── CSV import tests ──────────────────────────────────────────────────────────
+// Reading export files into a plan: parsing, telling the formats apart and
+// mapping their ratings onto Letterboxd's half stars. Nothing is queued.
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'letterboxio-import-test-'));
+process.env.CACHE_STORE = 'memory';
+
+const { parseCsv, toStars, planImport } = require('../importer');
+
+after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('parseCsv', () => {
+    test('quoted fields keep their commas, newlines and doubled quotes', () => {
+        const rows = parseCsv('Name,Year\r\n"Crouching Tiger, Hidden Dragon",2000\n"The ""Burbs""\nDirector\'s Cut",1989\n');
+        assert.deepEqual(rows, [
+            ['Name', 'Year'],
+            ['Crouching Tiger, Hidden Dragon', '2000'],
+            ['The "Burbs"\nDirector\'s Cut', '1989'],
+        ]);
+    });
+
+    test('blank lines and a missing final newline are fine', () => {
+        assert.deepEqual(parseCsv('a,b\n\n1,""\n2,x'), [['a', 'b'], ['1', ''], ['2', 'x']]);
+    });
+});
+
+describe('toStars', () => {
+    test('a 10-point rating is half as many stars', () => {
+        assert.deepEqual(['1', '2', '7', '8', '9', '10'].map(value => toStars(value, 10)), [0.5, 1, 3.5, 4, 4.5, 5]);
+    });
+
+    test('Letterboxd ratings are rounded to the nearest half star', () => {
+        assert.equal(toStars('3.5', 5), 3.5);
+        assert.equal(toStars('3.3', 5), 3.5);
+    });
+
+    test('no rating, zero and anything off the scale is null', () => {
+        for (const [value, scale] of [['', 10], ['0', 10], ['abc', 10], ['11', 10], ['6', 5]]) {
+            assert.equal(toStars(value, scale), null, `${value} on ${scale}`);
+        }
+    });
+});
+
+describe('planImport', () => {
+    test('a Letterboxd ratings export', () => {
+        const plan = planImport('\uFEFFDate,Name,Year,Letterboxd URI,Rating\n2024-01-02,Alien,1979,https://boxd.it/2b0k,4.5\n2024-01-03,Heat,1995,https://boxd.it/2aHi,\n');
+        assert.equal(plan.format, 'letterboxd');
+        assert.equal(plan.kind, 'ratings');
+        assert.equal(plan.total, 2);
+        assert.deepEqual(plan.items, [{ uri: 'https://boxd.it/2b0k', title: 'Alien', type: 'rate', stars: 4.5 }]);
+        assert.deepEqual(plan.skipped, [{ line: 3, title: 'Heat', reason: 'no rating' }]);
+    });
+
+    test('an IMDb ratings export skips what isn\'t a film', () => {
+        const plan = planImport('Const,Your Rating,Date Rated,Title,URL,Title Type\ntt0078748,9,2024-01-02,Alien,https://www.imdb.com/title/tt0078748/,Movie\ntt0903747,10,2024-01-02,Breaking Bad,https://www.imdb.com/title/tt0903747/,TV Series\n');
+        assert.equal(plan.format, 'imdb');
+        assert.deepEqual(plan.items, [{ imdbId: 'tt0078748', title: 'Alien', type: 'rate', stars: 4.5 }]);
+        assert.deepEqual(plan.skipped, [{ line: 3, title: 'Breaking Bad', reason: 'not a film (TV Series)' }]);
+    });
+
+    test('an IMDb export without ratings is a watchlist', () => {
+        const plan = planImport('Const,Created,Title,Title Type\ntt0078748,2024-01-02,Alien,Movie\n');
+        assert.equal(plan.format, 'imdb');
+        assert.equal(plan.kind, 'watchlist');
+        assert.deepEqual(plan.items, [{ imdbId: 'tt0078748', title: 'Alien', type: 'watchlist', add: true }]);
+    });
+
+    test('a Trakt ratings export', () => {
+        const plan = planImport('rated_at,type,title,year,rating,trakt_id,imdb_id\n2024-01-02T10:00:00Z,movie,Alien,1979,8,1,tt0078748\n2024-01-02T10:00:00Z,show,Severance,2022,9,2,tt11280740\n');
+        assert.equal(plan.format, 'trakt');
+        assert.deepEqual(plan.items, [{ imdbId: 'tt0078748', title: 'Alien', type: 'rate', stars: 4 }]);
+        assert.deepEqual(plan.skipped, [{ line: 3, title: 'Severance', reason: 'not a film (show)' }]);
+    });
+
+    test('an unknown header is rejected', () => {
+        assert.throws(() => planImport('Film,Score\nAlien,9\n'), /unrecognised header/);
+    });
+});
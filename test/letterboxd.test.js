@@ -0,0 +1,162 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ── Scraper fixture tests ─────────────────────────────────────────────────────
+// The scrapers run against test/fixtures/letterboxd through the replay server
+// (recorder.js), exactly as they would against letterboxd.com. When
+// Letterboxd changes its markup, re-record the fixtures (see test/README.md):
+// these tests then fail with the selector that stopped matching.
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'letterboxd');
+const USERNAME = 'snuffalobill';
+const SLUG = 'alien';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'letterboxio-test-'));
+process.env.CACHE_STORE = 'memory';
+delete process.env.LETTERBOXD_RECORD_DIR;
+
+const { startReplayServer } = require('../recorder');
+
+let replay;
+let letterboxd;
+
+before(async () => {
+    replay = await startReplayServer(FIXTURES);
+    process.env.LETTERBOXD_BASE_URL = replay.url;
+    letterboxd = require('../letterboxd');
+});
+
+after(async () => {
+    await replay.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function fixture(pathname) {
+    return fs.readFileSync(path.join(FIXTURES, pathname, 'index.html'), 'utf8');
+}
+
+describe('fetchWatchlistPage', () => {
+    test('parses every poster on the page', async () => {
+        const { films, hasNext } = await letterboxd.fetchWatchlistPage(USERNAME, 1);
+        assert.ok(films.length > 0, 'No films on the watchlist page: div.react-component[data-item-slug] matched nothing');
+        for (const film of films) {
+            assert.match(film.slug, /^[a-z0-9-]+$/, `Bad slug from data-item-slug: ${film.slug}`);
+            assert.ok(film.title && film.title !== film.slug, `No title for ${film.slug}: data-item-name and img[alt] both missing`);
+            assert.match(String(film.year), /^\d{4}$/, `No year for ${film.slug}: data-item-name no longer ends in "(YYYY)"`);
+            assert.match(String(film.filmId), /^\d+$/, `No film id for ${film.slug}: data-film-id missing`);
+        }
+        assert.equal(hasNext, true, 'Page 1 has a next page but a.next matched nothing');
+    });
+
+    test('splits the title from the year', async () => {
+        const { films } = await letterboxd.fetchWatchlistPage(USERNAME, 1);
+        assert.deepEqual(films[0], { slug: 'alien', title: 'Alien', filmId: '51714', year: '1979', rating: null });
+    });
+
+    test('stops at the last page', async () => {
+        const { films, hasNext } = await letterboxd.fetchWatchlistPage(USERNAME, 2);
+        assert.ok(films.length > 0, 'No films on the last watchlist page');
+        assert.equal(hasNext, false);
+    });
+
+    test('getWatchlist joins the pages in order', async () => {
+        const all = await letterboxd.getWatchlist(USERNAME);
+        const [page1, page2] = await Promise.all([1, 2].map(page => letterboxd.fetchWatchlistPage(USERNAME, page)));
+        assert.deepEqual(all.map(f => f.slug), [...page1.films, ...page2.films].map(f => f.slug));
+    });
+});
+
+describe('getFilmMeta', () => {
+    let meta;
+    before(async () => {
+        meta = await letterboxd.getFilmMeta(SLUG);
+    });
+
+    test('finds the IMDb id', () => {
+        assert.equal(meta.imdbId, 'tt0078748', 'a[href*="imdb.com/title/"] matched nothing on the film page');
+    });
+
+    test('reads title, year and description from the og: tags', () => {
+        assert.equal(meta.title, 'Alien');
+        assert.equal(meta.year, '1979', 'og:title no longer ends in "(YYYY)"');
+        assert.ok(meta.description, 'meta[property="og:description"] matched nothing');
+    });
+
+    test('reads credits, genres and rating from the JSON-LD', () => {
+        assert.deepEqual(meta.directors, ['Ridley Scott'], 'script[type="application/ld+json"] missing or unparseable');
+        assert.ok(meta.cast.includes('Sigourney Weaver'));
+        assert.deepEqual(meta.genres, ['Horror', 'Science Fiction']);
+        assert.equal(meta.averageRating, 4.27);
+        assert.equal(meta.ratingCount, 1234567);
+    });
+
+    test('reads the runtime from the footer', () => {
+        assert.equal(meta.runtime, 117, 'p.text-footer no longer holds "N mins"');
+    });
+
+    test('lists related films once each, without the film itself', () => {
+        assert.deepEqual(meta.related.map(f => f.slug), ['aliens', 'alien-3'], 'The related films section matched nothing');
+    });
+
+    test('serves a portrait poster', () => {
+        assert.ok(meta.poster, 'meta[property="og:image"] matched nothing');
+        assert.match(meta.poster, /-0-230-0-345-crop-/);
+    });
+
+    test('maps the IMDb id back to the slug', () => {
+        assert.equal(letterboxd.getFromCache(`slug:${meta.imdbId}`), SLUG);
+    });
+
+    test('a page that was never recorded comes back empty, not as an error', async () => {
+        const missing = await letterboxd.getFilmMeta('no-such-film');
+        assert.equal(missing.imdbId, null);
+        assert.deepEqual(missing.related, []);
+    });
+});
+
+describe('portraitPoster', () => {
+    test('swaps the crop for the 230x345 portrait size', () => {
+        assert.equal(
+            letterboxd.portraitPoster('https://a.ltrbxd.com/resized/sm/upload/ab/cd/gosford-park-1200-1200-675-675-crop-000000.jpg?v=1'),
+            'https://a.ltrbxd.com/resized/sm/upload/ab/cd/gosford-park-0-230-0-345-crop-000000.jpg?v=1',
+        );
+    });
+
+    test('leaves other URLs alone', () => {
+        const url = 'https://s.ltrbxd.com/static/img/empty-poster-230.png';
+        assert.equal(letterboxd.portraitPoster(url), url);
+        assert.equal(letterboxd.portraitPoster(null), null);
+    });
+});
+
+describe('parseRatingWidget', () => {
+    test('reads the widget from a logged-in film page', () => {
+        const widget = letterboxd.parseRatingWidget(fixture(`film/${SLUG}`));
+        assert.equal(widget.rateAction, '/s/film:51714/rate/', 'div.rateit[data-rate-action] matched nothing');
+        assert.equal(widget.ratingValue, 8, 'data-rateit-value missing from the rating widget');
+        assert.equal(widget.filmId, '51714', '[data-film-id] matched nothing');
+        assert.equal(widget.likeUid, 'film:51714', '[data-likeable-uid] matched nothing');
+        assert.equal(widget.liked, false);
+        assert.equal(widget.csrf, 'form-csrf-token', 'input[name="__csrf"] matched nothing');
+    });
+
+    test('falls back to the other CSRF tokens', () => {
+        const html = fixture(`film/${SLUG}`).replace(/<input[^>]+__csrf[^>]*>/, '');
+        assert.equal(letterboxd.parseRatingWidget(html).csrf, 'meta-csrf-token');
+        assert.equal(letterboxd.parseRatingWidget(html.replace(/<meta name="csrf-token"[^>]*>/, '')).csrf, 'body-csrf-token');
+    });
+
+    test('sees a liked film', () => {
+        const html = fixture(`film/${SLUG}`).replace('class="like-link"', 'class="like-link liked"');
+        assert.equal(letterboxd.parseRatingWidget(html).liked, true);
+    });
+
+    test('comes back empty for a logged-out page', () => {
+        const widget = letterboxd.parseRatingWidget('<html><body><p>Sign in to rate</p></body></html>');
+        assert.equal(widget.rateAction, null);
+        assert.equal(widget.ratingValue, 0);
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// ── Signed action URL tests ───────────────────────────────────────────────────
+// What verifyPath makes of the URLs signPath hands out, and of altered ones.
+
+process.env.ACTION_SECRET = 'test-action-secret';
+
+const { signPath, verifyPath } = require('../signing');
+
+const PATH = '/eyJ1IjoiYm9iIn0/rate/tt0078748/4';
+
+// signPath's result → [path, exp, sig], as the route would read them
+function parse(signed) {
+    const url = new URL(signed, 'http://addon');
+    return [url.pathname, url.searchParams.get('exp'), url.searchParams.get('sig')];
+}
+
+describe('verifyPath', () => {
+    test('accepts a URL as it was signed', () => {
+        assert.equal(verifyPath(...parse(signPath(PATH))), null);
+    });
+
+    test('a URL without exp or sig is unsigned', () => {
+        const [path, exp, sig] = parse(signPath(PATH));
+        assert.equal(verifyPath(path, null, null), 'unsigned');
+        assert.equal(verifyPath(path, exp, null), 'unsigned');
+        assert.equal(verifyPath(path, null, sig), 'unsigned');
+    });
+
+    test('rejects an expired URL', () => {
+        assert.equal(verifyPath(...parse(signPath(PATH, -60 * 1000))), 'expired');
+    });
+
+    test('rejects a URL whose path or expiry was changed', () => {
+        const [, exp, sig] = parse(signPath(PATH));
+        assert.equal(verifyPath('/eyJ1IjoiYm9iIn0/rate/tt0078748/0.5', exp, sig), 'bad signature');
+        assert.equal(verifyPath(PATH, String(Number(exp) + 3600), sig), 'bad signature');
+        assert.equal(verifyPath(PATH, `${exp}0`, sig), 'bad signature');
+        assert.equal(verifyPath(PATH, exp, sig.slice(0, -1)), 'bad signature');
+    });
+
+    test('a signature can\'t be moved to another config token', () => {
+        const [, exp, sig] = parse(signPath(PATH));
+        assert.equal(verifyPath('/eyJ1IjoiYWxpY2UifQ/rate/tt0078748/4', exp, sig), 'bad signature');
+        assert.equal(verifyPath('/rate/tt0078748/4', exp, sig), 'bad signature');
+    });
+});